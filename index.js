@@ -1,44 +1,202 @@
 const core = require('@actions/core');
-const exec = require('@actions/exec');
 const github = require('@actions/github');
 const ghUtils = require('./utils/GhUtils.js');
+const gitUtils = require('./utils/GitUtils.js');
+const ghGitUtils = require('./utils/GhGitUtils.js');
 const { yamlUtils } = require('./utils/YamlUtils.js');
 const PullRequestBuilder = require('./model/PullRequestBuilder')
 const PullRequestInputs = require('./model/PullRequestInputs')
 const io = require('./utils/IOUtils')
 const ValidateInputs = require('./schemas/ValidateInputs')
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SummaryUtils = require('./utils/SummaryUtils')
+const RegistryUtils = require('./utils/RegistryUtils')
+const PromotionUtils = require('./utils/PromotionUtils')
+const SelectorUtils = require('./utils/SelectorUtils')
+const LabelUtils = require('./utils/LabelUtils')
+const GhRequestUtils = require('./utils/GhRequestUtils')
+const StalePrUtils = require('./utils/StalePrUtils')
+const ResultUtils = require('./utils/ResultUtils')
 
 
+/**
+ * Deletes the coordinate labels no open issue or PR uses. It does not fail the action, the PRs are already done
+ */
+async function deleteStaleLabels(ghClient, labelsConfig) {
+  try {
+    const deleted = await LabelUtils.deleteStaleLabels(ghClient, LabelUtils.getConfig(labelsConfig))
+    core.info(io.blueBg('· Deleted stale labels: ') + (deleted.length > 0 ? deleted.join(', ') : 'none'))
+  } catch (e) {
+    core.warning(`Unable to delete the stale labels: ${e.message}`)
+  }
+}
+
+/**
+ * Closes the automated PRs left behind by previous runs (see the stale_prs input). With dry_run they are only
+ * listed. It does not fail the action, the PRs of this run are already done
+ */
+async function closeStalePRs(ghClient, stalePrsOptions, runChanges, labelsConfig, dryRun) {
+  try {
+    const stalePRs = await StalePrUtils.findStalePRs(ghClient, stalePrsOptions, runChanges, {
+      branchPrefix: PullRequestBuilder.BRANCH_PREFIX,
+      labelsConfig: LabelUtils.getConfig(labelsConfig),
+    })
+    for (const { prNumber, message } of stalePRs) {
+      core.info(io.blueBg(`· ${dryRun ? 'Would close' : 'Closing'} PR #${prNumber}: `) + message)
+    }
+    if (!dryRun) {
+      await StalePrUtils.closePRs(ghClient, stalePRs, stalePrsOptions)
+      core.setOutput('closed_prs', JSON.stringify(stalePRs))
+    }
+  } catch (e) {
+    core.warning(`Unable to close the stale pull requests: ${e.message}`)
+  }
+}
+
+/**
+ * Commits are made in the local clone (git) or through the GitHub API (api), which does not need a checkout
+ */
+function createGitClient(commitMode, ghClient) {
+  if (commitMode === 'git') return new gitUtils();
+  if (commitMode === 'api') {
+    return new ghGitUtils(ghClient, fs.mkdtempSync(path.join(os.tmpdir(), 'state-repo-')));
+  }
+  throw new Error(`Invalid commit_mode value ${commitMode}, allowed values: git, api`);
+}
+
+/**
+ * Reads an input that only accepts some values, the first one is the default
+ */
+function getChoiceInput(name, allowedValues) {
+  const value = core.getInput(name) || allowedValues[0];
+  if (!allowedValues.includes(value)) {
+    throw new Error(`Invalid ${name} value ${value}, allowed values: ${allowedValues.join(', ')}`);
+  }
+  return value;
+}
+
 async function run() {
   try {
-    const ghClient = new ghUtils(github.context, github.getOctokit(core.getInput('token')));
+    const requestUtils = new GhRequestUtils(core, { retries: Number(core.getInput('api_retries') || 3) });
+    const ghClient = new ghUtils(github.context, requestUtils.install(github.getOctokit(core.getInput('token'))));
     const input_matrix = JSON.parse(core.getInput('input_matrix'));
 
     core.info(JSON.stringify(input_matrix))
     core.info(io.blueBg('· Validating input against JSON Schema...'))
     ValidateInputs.checkValidInput(input_matrix)
 
-    await exec.exec("git config --global user.name github-actions");
-    await exec.exec("git config --global user.email github-actions@github.com");
-
-    for (const inputs of input_matrix.images) {
-      const prInputs = new PullRequestInputs(
-        inputs['base_folder'] ?? "",
-        inputs['tenant'],
-        inputs['app'],
-        inputs['env'],
-        inputs['service_name_list'],
-        inputs['image'],
-        JSON.parse(core.getInput('check_names')),
-        core.getInput('timeout'),
-        core.getInput('retry_interval'),
-        inputs['reviewers'],
-        inputs['repository_caller'],
-      )
-      core.info("\n\n️" + io.blueBg("· Updating image for inputs: \n") + io.italic(prInputs.print()))
-      const prBuilder = new PullRequestBuilder(prInputs, ghClient.getDefaultBranch())
-      await prBuilder.openPRUpdatingImage(ghClient, yamlUtils, core)
+    const gitClient = createGitClient(core.getInput('commit_mode') || 'git', ghClient);
+    const dryRun = core.getBooleanInput('dry_run');
+    if (dryRun) {
+      core.info(io.yellow('· Dry run: no branch will be pushed and no pull request will be changed'))
+    } else {
+      await gitClient.configUser("github-actions", "github-actions@github.com");
+    }
+
+    const groupBy = core.getInput('group_by') || 'none';
+    const failFast = core.getBooleanInput('fail_fast');
+    const autoMergeMode = getChoiceInput('auto_merge_mode', ['poll', 'native']);
+    const closedPrPolicy = getChoiceInput('closed_pr_policy', ['reopen', 'create', 'skip']);
+    const mergeOptions = {
+      method: getChoiceInput('merge_method', ['merge', 'squash', 'rebase']),
+      commitTitle: core.getInput('merge_commit_title'),
+      commitMessage: core.getInput('merge_commit_message'),
+      deleteBranch: core.getBooleanInput('delete_branch'),
+    };
+    const templates = {
+      prTitle: core.getInput('pr_title_template'),
+      prBody: core.getInput('pr_body_template'),
+      commitMessage: core.getInput('commit_message_template'),
+    };
+    const sourceRepositories = JSON.parse(core.getInput('source_repositories') || '{}');
+    const imagePolicies = JSON.parse(core.getInput('image_policies') || '{}');
+    ValidateInputs.checkValidImagePolicies(imagePolicies)
+    const labelsConfig = JSON.parse(core.getInput('labels') || '{}');
+    ValidateInputs.checkValidLabels(labelsConfig)
+    const stalePrsOptions = JSON.parse(core.getInput('stale_prs') || '{}');
+    ValidateInputs.checkValidStalePrs(stalePrsOptions)
+    const registryClient = new RegistryUtils(JSON.parse(core.getInput('registry_credentials') || '{}'));
+    const { entries: selectedEntries, expansions } = await SelectorUtils.expandEntries(
+      input_matrix.images, yamlUtils, gitClient, ghClient.getDefaultBranch()
+    );
+    for (const { entry, entries } of expansions) {
+      core.info(io.blueBg(`· Expanded ${[entry.tenant, entry.app, entry.env].map(value => [].concat(value).join(',')).join('/')} into:`))
+      if (entries.length === 0) core.info(io.yellow('No coordinate matches the selectors'))
+      for (const expanded of entries) {
+        core.info(`${expanded.tenant}/${expanded.app}/${expanded.env}: ${(expanded.service_name_list ?? ['every service']).join(', ')}`)
+      }
+    }
+    const { entries, promotions } = await PromotionUtils.expandEntries(
+      selectedEntries, yamlUtils, gitClient, ghClient.getDefaultBranch()
+    );
+    for (const { entry, differences } of promotions) {
+      core.info(io.blueBg(`· Promoting ${entry.tenant}/${entry.app}/${entry.promote_from} to ${entry.env}:`))
+      if (differences.length === 0) core.info(io.yellow('Nothing to promote, every service already has the same image'))
+      for (const { service, oldImage, newImage } of differences) {
+        core.info(`${service}: ${oldImage ?? '(none)'} -> ${newImage}`)
+      }
+    }
+    const prInputsList = entries.map(inputs => new PullRequestInputs(
+      inputs['base_folder'] ?? "",
+      inputs['tenant'],
+      inputs['app'],
+      inputs['env'],
+      inputs['service_name_list'],
+      inputs['image'],
+      inputs['reviewers'] ?? [],
+      inputs['repository_caller'],
+      inputs['image_paths'] ?? {},
+      inputs['allow_downgrade'] ?? false,
+      inputs['labels'] ?? [],
+      inputs['source_repository'],
+    ))
+    const builderOptions = {
+      checkNames: JSON.parse(core.getInput('check_names')),
+      checkConclusions: JSON.parse(core.getInput('check_conclusions')),
+      timeout: core.getInput('timeout'),
+      retryInterval: core.getInput('retry_interval'),
+      foreignCommitsPolicy: core.getInput('foreign_commits_policy') || 'refuse',
+      botAuthors: JSON.parse(core.getInput('bot_authors')),
+      autoMergeMode,
+      mergeOptions,
+      templates,
+      changelog: { enabled: core.getBooleanInput('changelog'), sourceRepositories },
+      imagePolicies,
+      codeownersReviewers: core.getBooleanInput('codeowners_reviewers'),
+      labelsConfig,
+      closedPrPolicy,
+    }
+
+    const prBuilders = PullRequestBuilder.groupInputs(prInputsList, groupBy)
+      .map(group => new PullRequestBuilder(group, ghClient.getDefaultBranch(), groupBy, builderOptions))
+    const logGroup = prBuilder => core.info("\n\n️" + io.blueBg(`· Updating image in branch ${prBuilder.branchName} for inputs: \n`) +
+      prBuilder.prInputsList.map(prInputs => io.italic(prInputs.print())).join("\n"))
+
+    if (dryRun) {
+      const plans = []
+      for (const prBuilder of prBuilders) {
+        logGroup(prBuilder)
+        plans.push(await prBuilder.planPRUpdatingImage(ghClient, yamlUtils, gitClient, registryClient))
+      }
+      core.setOutput('plan', JSON.stringify(plans))
+      await SummaryUtils.writePlanSummary(core.summary, plans)
+      if (Object.keys(stalePrsOptions).length > 0) await closeStalePRs(ghClient, stalePrsOptions, [], labelsConfig, true)
+    } else {
+      const results = await ResultUtils.collectResults(core, ghClient, prBuilders, prBuilder => {
+        logGroup(prBuilder)
+        return prBuilder.openPRUpdatingImage(ghClient, yamlUtils, core, gitClient, registryClient)
+      }, failFast)
+      if (Object.keys(stalePrsOptions).length > 0) {
+        await closeStalePRs(ghClient, stalePrsOptions, StalePrUtils.getRunChanges(prInputsList, results), labelsConfig, false)
+      }
+      if (labelsConfig.delete_stale) await deleteStaleLabels(ghClient, labelsConfig)
+      ResultUtils.setOutputs(core, results)
+      await SummaryUtils.writeResultsSummary(core.summary, results)
+      ResultUtils.reportFailures(core, results, prInputsList.length - results.length)
     }
+    core.info(io.blueBg('· GitHub API rate limit: ') + requestUtils.describeRateLimit())
 
   } catch (error) {
     core.setFailed(error.message);
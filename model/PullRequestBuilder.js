@@ -1,78 +1,280 @@
-const exec = require('@actions/exec');
+const path = require('path');
 const io = require('../utils/IOUtils');
-const { ImageVersionAlreadyUpdatedError } = require('../utils/YamlUtils');
-const github = require('@actions/github');
+const { ImageVersionAlreadyUpdatedError, ImageDowngradeError } = require('../utils/YamlUtils');
+const ChecksUtils = require('../utils/ChecksUtils');
+const TemplateUtils = require('../utils/TemplateUtils');
+const ImageUtils = require('../utils/ImageUtils');
+const AutoMergeUtils = require('../utils/AutoMergeUtils');
+const ChangelogUtils = require('../utils/ChangelogUtils');
+const ImagePolicyUtils = require('../utils/ImagePolicyUtils');
+const { ImagePolicyError } = ImagePolicyUtils;
+const CodeownersUtils = require('../utils/CodeownersUtils');
+const ReviewerUtils = require('../utils/ReviewerUtils');
+const LabelUtils = require('../utils/LabelUtils');
 
-class PullRequestBuilder {
+// Coordinate parts that identify a group of image updates sharing a branch and a PR
+const GROUP_KEYS = {
+    none: prInputs => [prInputs.tenant, prInputs.application, prInputs.environment],
+    tenant: prInputs => [prInputs.tenant],
+    app: prInputs => [prInputs.tenant, prInputs.application],
+    env: prInputs => [prInputs.environment],
+    all: () => [],
+}
 
-    constructor(prInputs, sourceBranch) {
-        this.baseFolder = prInputs.baseFolder;
-        this.sourceBranch = sourceBranch;
+const MERGE_METHODS = ['merge', 'squash', 'rebase'];
+
+const DEFAULT_COMMIT_MESSAGE = "feat: Image value updated to latest version";
+
+const BRANCH_PREFIX = "automated/update-image-";
+
+// Keys of an environment merge.yaml file and the merge option they override
+const MERGE_OPTION_KEYS = {
+    method: 'method',
+    commit_title: 'commitTitle',
+    commit_message: 'commitMessage',
+    delete_branch: 'deleteBranch',
+}
+
+class ServiceUpdateError extends Error {
+    constructor(prInputs, service, cause) {
+        super(cause.message);
+        this.name = "ServiceUpdateError";
         this.tenant = prInputs.tenant;
         this.application = prInputs.application;
         this.environment = prInputs.environment;
-        this.serviceNameList = prInputs.serviceNameList;
-        this.newImage = prInputs.newImage;
-        this.reviewers = prInputs.reviewers || [];
+        this.service = service;
+    }
+}
+
+class PullRequestBuilder {
+
+    /**
+     * @param prInputsList - PullRequestInputs of every coordinate committed to the same branch and PR
+     * @param sourceBranch - branch the PR is opened against
+     * @param groupBy - grouping mode used to build the list, one of GROUP_KEYS
+     * @param options - settings of the action run, shared by every coordinate: checkNames, checkConclusions,
+     * timeout, retryInterval, foreignCommitsPolicy, botAuthors, autoMergeMode, mergeOptions, templates,
+     * changelog ({enabled, sourceRepositories}), imagePolicies, codeownersReviewers, labelsConfig and closedPrPolicy
+     */
+    constructor(prInputsList, sourceBranch, groupBy = 'none', options = {}) {
+        prInputsList = [].concat(prInputsList);
+
+        this.prInputsList = prInputsList;
+        this.sourceBranch = sourceBranch;
+        // Folder holding the state repo files, the working tree of the git client in use
+        this.rootFolder = '';
+        this.groupBy = groupBy;
+        this.reviewers = PullRequestBuilder.getInputReviewers(prInputsList);
+        // Results of the coordinates left out of the PR, see rejectInputs
+        this.rejectedResults = [];
         //It is important ot create consistent branch names as the action's idempotency relies on the branch name as the key
-        this.branchName = `automated/update-image-${prInputs.tenant}-${prInputs.application}-${prInputs.environment}-${prInputs.repositoryCaller}`
-        this.checkNames = prInputs.checkNames;
-        this.timeout = prInputs.timeout;
-        this.retryInterval = prInputs.retryInterval;
+        this.branchName = PullRequestBuilder.getBranchName(prInputsList[0], groupBy);
+        this.checkNames = options.checkNames;
+        this.checkConclusions = options.checkConclusions;
+        this.timeout = options.timeout;
+        this.retryInterval = options.retryInterval;
+        this.foreignCommitsPolicy = options.foreignCommitsPolicy;
+        this.botAuthors = options.botAuthors;
+        this.autoMergeMode = options.autoMergeMode;
+        this.mergeOptions = options.mergeOptions;
+        this.templates = options.templates ?? {};
+        this.changelog = options.changelog ?? {};
+        this.imagePolicies = options.imagePolicies ?? {};
+        this.codeownersReviewers = options.codeownersReviewers ?? false;
+        this.labelsConfig = LabelUtils.getConfig(options.labelsConfig);
+        this.closedPrPolicy = options.closedPrPolicy || 'reopen';
+    }
+
+    static getInputReviewers(prInputsList) {
+        return [...new Set(prInputsList.flatMap(inputs => inputs.reviewers || []))];
+    }
+
+    /**
+     * Leaves a coordinate out of the PR, reporting it as failed. The rest of coordinates are still updated
+     * @param ghClient
+     * @param prInputs - coordinate to leave out
+     * @param error - why, the error of its result
+     */
+    rejectInputs(ghClient, prInputs, error) {
+        this.rejectedResults.push(this.getResult(ghClient, prInputs, 'failed', { error }));
+        this.prInputsList = this.prInputsList.filter(inputs => inputs !== prInputs);
+        this.reviewers = PullRequestBuilder.getInputReviewers(this.prInputsList);
+    }
+
+    /**
+     * Builds the branch name for a coordinate. Without grouping it is
+     * automated/update-image-<tenant>-<app>-<env>-<repositoryCaller>
+     */
+    static getBranchName(prInputs, groupBy = 'none') {
+        const groupKey = PullRequestBuilder.getGroupKey(prInputs, groupBy);
+        if (groupBy === 'none') return `${BRANCH_PREFIX}${groupKey}`;
+        return `${BRANCH_PREFIX}${groupBy}-${groupKey}`;
+    }
+
+    static getGroupKey(prInputs, groupBy) {
+        if (!GROUP_KEYS[groupBy]) {
+            throw new Error(`Invalid group_by value ${groupBy}, allowed values: ${Object.keys(GROUP_KEYS).join(', ')}`);
+        }
+        return GROUP_KEYS[groupBy](prInputs).concat(prInputs.repositoryCaller).join('-');
+    }
+
+    /**
+     * Splits the inputs of every coordinate into the lists that share a branch and a PR,
+     * keeping the input order
+     * @returns {Array<Array<PullRequestInputs>>}
+     */
+    static groupInputs(prInputsList, groupBy = 'none') {
+        const groups = new Map();
+        for (const prInputs of prInputsList) {
+            const groupKey = PullRequestBuilder.getGroupKey(prInputs, groupBy);
+            if (!groups.has(groupKey)) groups.set(groupKey, []);
+            groups.get(groupKey).push(prInputs);
+        }
+        return [...groups.values()];
+    }
+
+    static coordinates(prInputs) {
+        return `${prInputs.tenant}/${prInputs.application}/${prInputs.environment}`;
     }
 
     /**
-     * Executes the full workflow needed to open a PR for a given image
+     * Executes the full workflow needed to open a PR for the images of every coordinate
+     * @param ghClient - GitHub client
+     * @param yamlUtils - images.yaml editor
+     * @param core - @actions/core, used for logging
+     * @param gitClient - repository the branch is committed and pushed to, a local clone (see GitUtils)
+     * or the GitHub API (see GhGitUtils)
+     * @param registryClient - registry the tags are verified against when the verify_tag image policy is enabled,
+     * see RegistryUtils
+     * @returns {Promise<Array<object>>} The result of every coordinate, see getResults. The coordinates whose
+     * image violates a policy are left out of the PR and reported as failed
      */
-    async openPRUpdatingImage(ghClient, yamlUtils, core) {
+    async openPRUpdatingImage(ghClient, yamlUtils, core, gitClient, registryClient = undefined) {
+        // 0. CHECK THE NEW IMAGES AGAINST THE IMAGE POLICIES, BEFORE ANY BRANCH IS TOUCHED
+        core.info(io.bGreen(`> Checking image policies...`));
+        for (const { prInputs, violations } of await this.getImagePolicyViolations(registryClient)) {
+            if (violations.length > 0) {
+                core.info(io.red(`ERROR: image ${prInputs.newImage} of ${PullRequestBuilder.coordinates(prInputs)} is not allowed, leaving it out of the PR`));
+                this.rejectInputs(ghClient, prInputs, new ImagePolicyError(prInputs, violations));
+            }
+        }
+        if (this.prInputsList.length === 0) return this.getResults(ghClient, 'failed');
+
         // 1. CREATE BRANCH or WIPE IT IF IT ALREADY EXISTS
         core.info(io.bGreen(`> Creating new branch ${this.branchName}...`));
-        if (await this.createPRBranchFrom(this.sourceBranch)) {
+        if (await this.createPRBranchFrom(gitClient, this.sourceBranch)) {
             core.info(io.bGreen(`> Branch ${this.branchName} does not exist in remote, so a new one was created!`));
         } else {
             core.info(io.bGreen(`> Branch ${this.branchName} already existed. It was re-set to origin/${this.sourceBranch}!`))
         }
+        await this.checkoutEnvironmentFolders(gitClient);
 
-        const oldImagesList = {}
         try {
             // 2. MODIFY SERVICES' IMAGE INSIDE images.yaml
-            this.serviceNameList.forEach(service => {
-                try {
-                    const oldImageValue = this.updateImageInFile(yamlUtils, service);
-                    oldImagesList[service] = oldImageValue;
-                } catch (e) {
-                    if (e instanceof ImageVersionAlreadyUpdatedError) {
-                        core.info(io.yellow(
-                            `Skipping PR for ${this.tenant}/${this.application}/${this.environment}/${service}`
-                        ));
-                        core.info(io.yellow(
-                            `Image did not change! old=newImage=${this.newImage}`
-                        ));
-                    }
-                    else {
-                        core.info(io.red(
-                            `ERROR TRYING TO UPDATE IMAGE!! Error: ${e}`
-                        ));
-                        throw e;
+            const changes = [];
+            const changedFiles = new Set();
+            const downgrades = [];
+            for (const prInputs of this.prInputsList) {
+                const oldImagesList = {}
+                const newImagesList = {}
+                const oldTagsList = {}
+                prInputs.serviceNameList.forEach(service => {
+                    try {
+                        const { oldValue, newValue, oldTag, newTag, downgrade, fileName } = this.updateImageInFile(yamlUtils, prInputs, service);
+                        oldImagesList[service] = oldValue;
+                        newImagesList[service] = newValue;
+                        oldTagsList[service] = oldTag;
+                        changedFiles.add(path.relative(this.rootFolder, fileName));
+                        if (downgrade) {
+                            core.info(io.yellow(
+                                `Downgrading ${PullRequestBuilder.coordinates(prInputs)}/${service} from ${oldTag} to ${newTag} (allow_downgrade is set)`
+                            ));
+                            downgrades.push({ prInputs, service, oldTag, newTag, applied: true });
+                        }
+                    } catch (e) {
+                        if (e instanceof ImageVersionAlreadyUpdatedError) {
+                            core.info(io.yellow(
+                                `Skipping PR for ${PullRequestBuilder.coordinates(prInputs)}/${service}`
+                            ));
+                            core.info(io.yellow(
+                                `Image did not change! old=newImage=${prInputs.newImage}`
+                            ));
+                        }
+                        else if (e instanceof ImageDowngradeError) {
+                            core.info(io.yellow(
+                                `Skipping ${PullRequestBuilder.coordinates(prInputs)}/${service}: ${e.message}`
+                            ));
+                            downgrades.push({ prInputs, service, oldTag: e.oldTag, newTag: e.newTag, applied: false });
+                        }
+                        else {
+                            core.info(io.red(
+                                `ERROR TRYING TO UPDATE IMAGE!! Error: ${e}`
+                            ));
+                            throw new ServiceUpdateError(prInputs, service, e);
+                        }
                     }
+                });
+                if (Object.keys(oldImagesList).length > 0) {
+                    changes.push({ prInputs, oldImagesList, newImagesList, oldTagsList });
                 }
-            });
-            if (!oldImagesList || Object.keys(oldImagesList).length === 0) return;
+            }
+            if (changes.length === 0) return this.getResults(ghClient, 'skipped', { downgrades });
             core.info(io.bGreen('> File updated! Old images value:'));
-            for (const [service, oldImage] of Object.entries(oldImagesList)) {
-                core.info(io.bGreen(`${service}: ${oldImage}`));
+            for (const { prInputs, oldImagesList } of changes) {
+                for (const [service, oldImage] of Object.entries(oldImagesList)) {
+                    core.info(io.bGreen(`${PullRequestBuilder.coordinates(prInputs)}/${service}: ${oldImage}`));
+                }
             }
 
-            // 3. PUSH CHANGES TO ORIGIN
+            // Rendered before touching the PR, so an invalid template does not leave a closed PR reopened
+            const commitMessage = this.getCommitMessage(ghClient, changes)
+
+            // 3. FIND THE PR OF THE BRANCH. A CLOSED ONE IS REOPENED BEFORE PUSHING, GITHUB REFUSES IT ONCE THE BRANCH IS FORCE-PUSHED
+            let { prNumber, closedPrNumber } = await this.findPullRequest(ghClient)
+            let reopenedPrNumber = 0
+            if (closedPrNumber !== 0) {
+                if (this.closedPrPolicy === 'skip') {
+                    core.info(io.yellow(`> PR #${closedPrNumber} of branch ${this.branchName} was closed without merging, skipping (closed_pr_policy is skip)`));
+                    return this.getResults(ghClient, 'skipped', { downgrades, closedPrNumber });
+                }
+                if (this.closedPrPolicy === 'reopen') {
+                    try {
+                        await ghClient.reopenPr(closedPrNumber)
+                        core.info(io.bGreen(`> Reopened PR number: ${closedPrNumber}`));
+                        prNumber = closedPrNumber
+                        reopenedPrNumber = closedPrNumber
+                        closedPrNumber = 0
+                    } catch (e) {
+                        core.info(io.yellow(`> PR #${closedPrNumber} could not be reopened, a new one will be created: ${e.message}`));
+                    }
+                } else {
+                    core.info(io.yellow(`> PR #${closedPrNumber} of branch ${this.branchName} was closed without merging, a new one will be created`));
+                }
+            }
+
+            // 4. PUSH CHANGES TO ORIGIN. A PR REOPENED FOR THIS PUSH IS CLOSED AGAIN WHEN IT FAILS
             core.info(io.bGreen(`> Pushing changes...`));
-            await this.sedUpdatedImageFileToOrigin()
+            try {
+                await this.sedUpdatedImageFileToOrigin(gitClient, [...changedFiles], commitMessage)
+            } catch (e) {
+                if (reopenedPrNumber !== 0) {
+                    core.info(io.yellow(`> Closing PR #${reopenedPrNumber} again, the changes could not be pushed`));
+                    await ghClient.closePr(reopenedPrNumber)
+                }
+                throw e
+            }
+            this.headSha = await gitClient.revParse('HEAD')
 
-            // 4. CREATE PULL REQUEST IF IT DOES NOT EXIST
-            let prNumber = await ghClient.branchHasOpenPR(this.branchName)
-            const { prTitle, prBody } = this.getPrTitleAndBody(ghClient, prNumber, oldImagesList)
+            // 5. CREATE PULL REQUEST IF IT DOES NOT EXIST
+            const approvals = prNumber === 0 ? 0 : await ghClient.getPrApprovals(prNumber)
+            const autoMergeDecision = this.getAutoMergeDecision(yamlUtils, { changes, approvals })
+            const changelog = await this.getChangelog(ghClient, changes)
+            const { prTitle, prBody } = this.getPrTitleAndBody(ghClient, prNumber, changes, { autoMergeDecision, changelog })
 
+            let status = 'updated'
             if (prNumber === 0) {
                 prNumber = await this.openNewPullRequest(ghClient, prTitle, prBody)
+                status = 'created'
                 core.info(io.bGreen('> Created PR number: ') + prNumber);
             } else {
                 core.info(io.yellow(`> There is already a pull-request open for branch ${this.branchName}, pr_number=${prNumber}, updating it...`));
@@ -80,24 +282,46 @@ class PullRequestBuilder {
                 core.info(io.bGreen('> Updated PR number: ') + prNumber);
             }
 
-            // 5. ADD PR LABELS and REVIEWERS
+            // 6. ADD PR LABELS and REVIEWERS
             core.info(io.bGreen('> Adding labels and PR reviewers...'))
 
+            let labels = []
+            let reviewers = []
             try {
-                await this.setPRLabels(ghClient, prNumber)
-                const reviewers = await this.addPRReviewers(ghClient, prNumber)
+                const labelsResult = await this.setPRLabels(ghClient, prNumber)
+                const { created, updated } = labelsResult
+                labels = labelsResult.labels
+                core.info(io.bGreen(`> Added labels: ${JSON.stringify(labels)}`));
+                if (created.length > 0) core.info(`> Created labels: ${JSON.stringify(created)}`);
+                if (updated.length > 0) core.info(`> Updated labels: ${JSON.stringify(updated)}`);
+            } catch (e) {
+                core.info(e);
+                core.info(io.yellow('> No labels were added!'));
+            }
+            try {
+                const { requested, skipped } = await this.addPRReviewers(ghClient, prNumber, yamlUtils, [...changedFiles])
+                reviewers = requested
                 core.info(io.bGreen(`> Added reviewers: ${JSON.stringify(reviewers)}`));
+                for (const { reviewer, reason } of skipped) {
+                    core.info(io.yellow(`> Reviewer ${reviewer} was not added: ${reason}`));
+                }
             } catch (e) {
                 core.info(e);
                 core.info(io.yellow('> No reviewers were added!'));
             }
 
-            // 6. DETERMINE AUTO_MERGE AND TRY TO MERGE
-            if (await this.tryToMerge(ghClient, yamlUtils, prNumber)) {
+            // 7. DETERMINE AUTO_MERGE AND TRY TO MERGE
+            const { autoMerge, checks, merged, autoMergeEnabled } = await this.tryToMerge(ghClient, yamlUtils, prNumber, { prTitle, changes, autoMergeDecision })
+            if (merged) {
+                status = 'merged'
                 core.info(io.bGreen('> Successfully automatically merged PR number: ' + prNumber));
+            } else if (autoMergeEnabled) {
+                core.info(io.bGreen('> Native auto-merge enabled for PR number: ' + prNumber));
             } else {
                 core.info(io.yellow('> PR was not merged automatically'));
             }
+
+            return this.getResults(ghClient, status, { changes, prNumber, labels, reviewers, autoMerge, autoMergeEnabled, checks, downgrades, closedPrNumber })
         } catch (e) {
             core.info(io.red(`ERROR TRYING TO UPDATE IMAGE!! Error: ${e}`));
             throw e;
@@ -105,67 +329,402 @@ class PullRequestBuilder {
 
     }
 
+    /**
+     * Builds the result of every coordinate of the PR, after the ones left out of it (see rejectInputs).
+     * Coordinates without changes are skipped
+     * @param ghClient
+     * @param status - created, updated, skipped, merged or failed
+     * @param details - what was done in the PR:
+     *  - changes: list of {prInputs, oldImagesList, newImagesList} for every updated coordinate
+     *  - prNumber: 0 if there is no PR
+     *  - labels, reviewers: set in the PR
+     *  - autoMerge: whether every coordinate allows auto-merge
+     *  - autoMergeEnabled: whether GitHub native auto-merge was enabled for the PR
+     *  - checks: passed, failed, timed out, pending or skipped
+     *  - downgrades: list of {prInputs, service, oldTag, newTag, applied} for every service whose tag would go back
+     *  to an older version, applied only with allow_downgrade
+     *  - closedPrNumber: PR of the branch closed without merging that was not reopened, 0 if there is none
+     *  - error: error that made the PR fail, a ServiceUpdateError also points to the failed service
+     * @returns {Array<object>}
+     */
+    getResults(ghClient, status, details = {}) {
+        return this.rejectedResults.concat(this.prInputsList.map(prInputs => this.getResult(ghClient, prInputs, status, details)));
+    }
+
+    /**
+     * Result of a coordinate, see getResults
+     */
+    getResult(ghClient, prInputs, status, { changes = [], prNumber = 0, labels = [], reviewers = [], autoMerge = false, autoMergeEnabled = false, checks = '', downgrades = [], closedPrNumber = 0, error } = {}) {
+        const change = changes.find(change => change.prInputs === prInputs);
+        const images = {};
+        for (const service of Object.keys(change?.oldImagesList ?? {})) {
+            images[service] = { old: change.oldImagesList[service], new: change.newImagesList[service] };
+        }
+        const result = {
+            tenant: prInputs.tenant,
+            app: prInputs.application,
+            env: prInputs.environment,
+            branch: this.branchName,
+            prNumber,
+            prUrl: prNumber === 0 ? '' : ghClient.getPrUrl(prNumber),
+            status: change || status === 'failed' ? status : 'skipped',
+            images,
+            labels,
+            reviewers,
+            autoMerge,
+            autoMergeEnabled,
+            checks,
+            downgrades: downgrades.filter(downgrade => downgrade.prInputs === prInputs)
+                .map(({ service, oldTag, newTag, applied }) => ({ service, oldTag, newTag, applied })),
+        };
+        if (closedPrNumber !== 0) {
+            result.closedPrNumber = closedPrNumber;
+        }
+        if (error !== undefined) {
+            result.error = error.message;
+            if (error instanceof ServiceUpdateError && error.tenant === prInputs.tenant &&
+                error.application === prInputs.application && error.environment === prInputs.environment) {
+                result.service = error.service;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Computes what openPRUpdatingImage would do for these coordinates without touching
+     * git, the images.yaml files or the pull requests
+     * @param ghClient - GitHub client
+     * @param yamlUtils - images.yaml editor
+     * @param gitClient - repository the files are read from, the working tree is used as is when missing
+     * @param registryClient - see openPRUpdatingImage
+     * @returns {Promise<object>} The plan for the branch of these coordinates
+     */
+    async planPRUpdatingImage(ghClient, yamlUtils, gitClient = undefined, registryClient = undefined) {
+        if (gitClient) await this.checkoutEnvironmentFolders(gitClient);
+
+        const policyViolations = await this.getImagePolicyViolations(registryClient);
+        const coordinates = this.prInputsList.map((prInputs, i) => ({
+            tenant: prInputs.tenant,
+            app: prInputs.application,
+            env: prInputs.environment,
+            image: prInputs.newImage,
+            imagePolicyViolations: policyViolations[i].violations,
+            services: prInputs.serviceNameList.map(service => {
+                try {
+                    const { oldValue, newValue, oldTag, downgrade } = this.updateImageInFile(yamlUtils, prInputs, service, true);
+                    return { service, status: 'update', oldValue, newValue, oldTag, downgrade };
+                } catch (e) {
+                    if (e instanceof ImageVersionAlreadyUpdatedError) {
+                        return { service, status: 'unchanged' };
+                    }
+                    if (e instanceof ImageDowngradeError) {
+                        return { service, status: 'downgrade', oldTag: e.oldTag, newTag: e.newTag };
+                    }
+                    return { service, status: 'error', error: e.message };
+                }
+            })
+        }));
+        // The coordinates whose image violates a policy are left out of the PR, as openPRUpdatingImage does
+        const accepted = coordinates.filter(coordinate => coordinate.imagePolicyViolations.length === 0);
+        const services = accepted.flatMap(coordinate => coordinate.services);
+
+        const { prNumber, closedPrNumber } = await this.findPullRequest(ghClient);
+        const changes = accepted.map(coordinate => {
+            const updates = coordinate.services.filter(service => service.status === 'update');
+            return {
+                prInputs: this.prInputsList[coordinates.indexOf(coordinate)],
+                oldImagesList: Object.fromEntries(updates.map(service => [service.service, service.oldValue])),
+                oldTagsList: Object.fromEntries(updates.map(service => [service.service, service.oldTag])),
+            };
+        });
+        const approvals = prNumber === 0 ? 0 : await ghClient.getPrApprovals(prNumber);
+        const { autoMerge, reasons } = this.getAutoMergeDecision(yamlUtils, {
+            changes, approvals, prInputsList: changes.map(change => change.prInputs)
+        });
+
+        let prAction = 'skip';
+        if (accepted.length === 0 || services.some(service => service.status === 'error')) {
+            prAction = 'error';
+        } else if (services.some(service => service.status === 'update')) {
+            prAction = prNumber === 0 ? 'create' : 'update';
+            if (closedPrNumber !== 0 && this.closedPrPolicy !== 'create') prAction = this.closedPrPolicy;
+        }
+
+        return {
+            branch: this.branchName,
+            coordinates,
+            prNumber,
+            closedPrNumber,
+            prAction,
+            autoMerge,
+            autoMergeReasons: reasons
+        };
+    }
+
+    /**
+     * Finds the PR of the branch. When there is no open PR and the latest one was closed without
+     * merging, it is returned as closed PR, so it can be reopened or reported instead of opening a duplicate
+     * @returns {Promise<{prNumber: number, closedPrNumber: number}>} 0 when there is no such PR
+     */
+    async findPullRequest(ghClient) {
+        const prs = await ghClient.getBranchPRs(this.branchName);
+        const openPR = prs.find(pr => pr.state === 'open');
+        if (openPR) return { prNumber: openPR.number, closedPrNumber: 0 };
+        const latestPR = prs[0];
+        return { prNumber: 0, closedPrNumber: latestPR && !latestPR.merged ? latestPR.number : 0 };
+    }
+
+    /**
+     * Checks the new image of every coordinate against the image policies: a valid image reference,
+     * the policies of its tenant and environment and, with verify_tag, its tag in the registry
+     * @param registryClient - see RegistryUtils, the tags are not verified without it
+     * @returns {Promise<Array<{prInputs: object, violations: string[]}>>} in the order of the coordinates
+     */
+    async getImagePolicyViolations(registryClient = undefined) {
+        const result = [];
+        for (const prInputs of this.prInputsList) {
+            const violations = ImagePolicyUtils.getViolations(prInputs, this.imagePolicies);
+            if (violations.length === 0 && this.imagePolicies.verify_tag && registryClient) {
+                try {
+                    if (!await registryClient.manifestExists(prInputs.newImage)) {
+                        violations.push(`${prInputs.newImage} was not found in its registry`);
+                    }
+                } catch (e) {
+                    violations.push(`unable to verify ${prInputs.newImage} in its registry: ${e.message}`);
+                }
+            }
+            result.push({ prInputs, violations });
+        }
+        return result;
+    }
+
     /**
      * Check if these coordinates already have a branch in the remote and move inside it.
-     * The branch will be created if it not already present in the remote
+     * The branch will be created if it not already present in the remote.
+     * The remote sha of the branch is kept as lease, so the push fails if someone else updates it meanwhile
+     * @returns {Promise<boolean>} true if the branch was created
      */
-    async createPRBranchFrom(targetBranch) {
+    async createPRBranchFrom(gitClient, targetBranch) {
         //CREATE BRANCH or RESET IT IF IT ALREADY EXISTS
-        await exec.exec("git stash");
-        await exec.exec(`git checkout ${this.sourceBranch}`);
-        await exec.exec(`git reset --hard origin/${targetBranch}`);
-        try {
-            await exec.exec("git fetch origin " + this.branchName);
-            await exec.exec("git checkout " + this.branchName);
-            await exec.exec(`git reset --hard origin/${targetBranch}`);
-        } catch (e) {
-            await exec.exec("git checkout -b " + this.branchName);
-            return true
+        await gitClient.stash();
+        await gitClient.checkout(this.sourceBranch);
+        await gitClient.resetHard(gitClient.remoteRef(targetBranch));
+        if (await gitClient.fetch(this.branchName)) {
+            this.leaseSha = await gitClient.revParse(gitClient.remoteRef(this.branchName));
+            const foreignCommits = await this.getForeignCommits(gitClient, targetBranch);
+            await gitClient.checkout(this.branchName);
+            await gitClient.resetHard(gitClient.remoteRef(targetBranch));
+            await this.applyForeignCommitsPolicy(gitClient, foreignCommits);
+            return false
+        }
+        this.leaseSha = '';
+        await gitClient.checkout(this.branchName, { create: true });
+        return true
+    }
+
+    /**
+     * Commits in the remote branch (and not in the target branch) that were not made by the automation
+     */
+    async getForeignCommits(gitClient, targetBranch) {
+        const botAuthors = this.botAuthors || [];
+        const commits = await gitClient.listCommits(
+            gitClient.remoteRef(targetBranch), gitClient.remoteRef(this.branchName)
+        );
+        return commits.filter(commit => ![commit.authorName, commit.authorEmail, commit.authorLogin]
+            .some(author => author && botAuthors.includes(author)));
+    }
+
+    /**
+     * Decides what to do with the commits pushed to the automated branch by someone else:
+     *  - refuse: fail without touching the branch (default)
+     *  - rebase: keep them on top of the target branch, below the new image update
+     *  - overwrite: drop them, as the branch is always re-created from the target branch
+     */
+    async applyForeignCommitsPolicy(gitClient, foreignCommits) {
+        if (foreignCommits.length === 0) return;
+
+        const policy = this.foreignCommitsPolicy || 'refuse';
+        const description = foreignCommits
+            .map(commit => `${commit.sha.substring(0, 7)} (${commit.authorLogin || commit.authorName} <${commit.authorEmail}>)`)
+            .join(', ');
+        console.log(`Branch ${this.branchName} has commits not made by the automation: ${description}`);
+
+        if (policy === 'refuse') {
+            throw new Error(
+                `Branch ${this.branchName} has commits not made by the automation: ${description}. ` +
+                `Refusing to overwrite them: merge or close its pull request, or set foreign_commits_policy to rebase or overwrite`
+            );
+        } else if (policy === 'rebase') {
+            await gitClient.cherryPick(foreignCommits.map(commit => commit.sha));
+        } else if (policy !== 'overwrite') {
+            throw new Error(`Invalid foreign_commits_policy value ${policy}, allowed values: refuse, rebase, overwrite`);
         }
-        return false
     }
 
+    /**
+     * Makes the environment folders of every coordinate available in the working tree of the git client.
+     * A local clone already has them, the GitHub API client downloads them from the source branch
+     */
+    async checkoutEnvironmentFolders(gitClient) {
+        this.rootFolder = gitClient.workDir;
+        const folders = this.prInputsList.map(prInputs => path.join(
+            prInputs.baseFolder, prInputs.tenant, prInputs.application, prInputs.environment
+        ));
+        await gitClient.checkoutPaths(this.sourceBranch, [...new Set(folders)]);
+    }
 
-    updateImageInFile(yamlUtils, service) {
+    /**
+     * Updates the image fields of a service (`image` unless an image path is configured for it).
+     * Downgrades are refused with an ImageDowngradeError unless the coordinate allows them
+     * @returns {{oldValue: string, newValue: string}} The touched fields before and after the update, see
+     * yamlUtils.updateImageFields
+     */
+    updateImageInFile(yamlUtils, prInputs, service, dryRun = false) {
         //MODIFY SERVICES IMAGE
-        const oldImageName = yamlUtils.modifyImage(
-            this.tenant,
-            this.application,
-            this.environment,
+        return yamlUtils.updateImageFields(
+            prInputs.tenant,
+            prInputs.application,
+            prInputs.environment,
             service,
-            this.newImage,
-            this.baseFolder
+            prInputs.newImage,
+            path.join(this.rootFolder, prInputs.baseFolder),
+            prInputs.imagePaths,
+            dryRun,
+            prInputs.allowDowngrade ?? false
         );
-        return oldImageName
     }
 
-    async sedUpdatedImageFileToOrigin() {
+    /**
+     * Commits only the modified images.yaml files and pushes the branch
+     */
+    async sedUpdatedImageFileToOrigin(gitClient, changedFiles, commitMessage = DEFAULT_COMMIT_MESSAGE) {
         //COMMIT LOCAL CHANGES
-        await exec.exec("git add .");
         try {
-            await exec.exec('git commit -m "feat: Image value updated to latest version"');
+            await gitClient.commit(commitMessage, changedFiles);
         } catch (e) {
             console.log(e)
             throw new Error('Unable to commit file!')
         }
         //PUSH CHANGES TO ORIGIN
-        await exec.exec("git push --force origin " + this.branchName);
+        await gitClient.push(this.branchName, { lease: this.leaseSha });
+
+    }
 
+    /**
+     * Message of the commit with the image updates, rendered from the commit message template if there is one
+     * @param ghClient
+     * @param changes - list of {prInputs, oldImagesList, newImagesList} for every updated coordinate
+     */
+    getCommitMessage(ghClient, changes) {
+        if (!this.templates.commitMessage) return DEFAULT_COMMIT_MESSAGE;
+        return TemplateUtils.render(this.templates.commitMessage, this.getTemplateVariables(ghClient, 0, '', changes));
     }
 
-    getPrTitleAndBody(ghClient, prNumber, oldImagesList) {
-        const prTitle = `📦 Service image update \`${this.newImage}\``;
+    /**
+     * Title and body of the PR, rendered from the PR templates if there are any. Besides the
+     * getTemplateVariables values, the body template can use the default `changes` list and
+     * the `changelog` and `auto_merge` sections
+     * @param ghClient
+     * @param prNumber
+     * @param changes - list of {prInputs, oldImagesList, newImagesList} for every updated coordinate
+     * @param sections - optional sections added at the end of the body:
+     *  - changelog: see getChangelog
+     *  - autoMergeDecision: explained at the end of the body, see getAutoMergeDecision
+     */
+    getPrTitleAndBody(ghClient, prNumber, changes, { changelog = '', autoMergeDecision } = {}) {
+        const { prTitle: defaultTitle, changesBody } = PullRequestBuilder.describeChanges(changes);
+        const autoMergeSection = PullRequestBuilder.describeAutoMergeDecision(autoMergeDecision);
+        const variables = {
+            ...this.getTemplateVariables(ghClient, prNumber, '', changes),
+            changes: changesBody,
+            changelog,
+            auto_merge: autoMergeSection,
+        };
+
+        const prTitle = this.templates.prTitle ? TemplateUtils.render(this.templates.prTitle, variables) : defaultTitle;
+        if (this.templates.prBody) {
+            return { prTitle, prBody: TemplateUtils.render(this.templates.prBody, { ...variables, pr_title: prTitle }) };
+        }
+
         let prBody = `🤖 Automated PR created in [this](${ghClient.getActionUrl()}) workflow execution \n\n`;
-        prBody += `Images updated for the following services:\n`
-        for (const [service, oldImage] of Object.entries(oldImagesList)) {
-            prBody += `- \`${service}\`: \`${oldImage}\`\n`;
+        prBody += changesBody;
+        prBody += changelog;
+        prBody += autoMergeSection;
+        return { prTitle, prBody }
+    }
+
+    /**
+     * Changelog section of the PR body with the commits of the source repository between the old
+     * and new tag of every updated image, when enabled
+     * @param ghClient
+     * @param changes - list of {prInputs, oldImagesList, oldTagsList} for every updated coordinate
+     * @returns {Promise<string>} empty if the changelog is disabled
+     */
+    async getChangelog(ghClient, changes) {
+        if (!this.changelog.enabled) return '';
+        const entries = changes.flatMap(({ prInputs, oldImagesList, oldTagsList }) => {
+            const { repository, tag } = ImageUtils.parseImageReference(prInputs.newImage);
+            const sourceRepository = ChangelogUtils.resolveSourceRepository(
+                prInputs.newImage, { ...this.changelog, sourceRepository: prInputs.sourceRepository }, prInputs.repositoryCaller, ghClient.repoOwner
+            );
+            return Object.keys(oldImagesList).map(service => ({
+                image: repository, sourceRepository, oldTag: oldTagsList?.[service], newTag: tag
+            }));
+        });
+        return await ChangelogUtils.getChangelog(ghClient, entries);
+    }
+
+    /**
+     * Default PR title and list of the updated images: a list for a single change, a table for groups and
+     * promotions. The title counts the distinct coordinates
+     * @param changes - list of {prInputs, oldImagesList, newImagesList} for every updated coordinate and image
+     * @returns {{prTitle: string, changesBody: string}}
+     */
+    static describeChanges(changes) {
+        const images = [...new Set(changes.map(change => change.prInputs.newImage))];
+        let changesBody = '';
+
+        if (changes.length === 1) {
+            const { prInputs, oldImagesList, newImagesList } = changes[0];
+            const prTitle = `📦 Service image update \`${prInputs.newImage}\``;
+            changesBody += `Images updated for the following services:\n`
+            for (const [service, oldImage] of Object.entries(oldImagesList)) {
+                changesBody += `- \`${service}\`: \`${oldImage}\`\n`;
+            }
+            changesBody += `\nTo:\n`;
+            for (const serviceName of Object.keys(oldImagesList)) {
+                changesBody += `- \`${serviceName}\`: \`${newImagesList[serviceName]}\`\n`;
+            }
+            return { prTitle, changesBody }
         }
-        prBody += `\nTo:\n`;
-        for (const serviceName of Object.keys(oldImagesList)) {
-            prBody += `- \`${serviceName}\`: \`${this.newImage}\`\n`;
+
+        // A promotion has one change per image of the same coordinate
+        const coordinates = [...new Set(changes.map(change => PullRequestBuilder.coordinates(change.prInputs)))];
+        const location = coordinates.length === 1 ? coordinates[0] : `${coordinates.length} environments`;
+        const prTitle = images.length === 1
+            ? `📦 Service image update \`${images[0]}\` in ${location}`
+            : `📦 Service image updates in ${location}`;
+        changesBody += `Images updated for the following services:\n\n`;
+        changesBody += `| Tenant | App | Env | Service | From | To |\n`;
+        changesBody += `| --- | --- | --- | --- | --- | --- |\n`;
+        for (const { prInputs, oldImagesList, newImagesList } of changes) {
+            for (const [service, oldImage] of Object.entries(oldImagesList)) {
+                changesBody += `| ${prInputs.tenant} | ${prInputs.application} | ${prInputs.environment} | \`${service}\` | \`${oldImage}\` | \`${newImagesList[service]}\` |\n`;
+            }
         }
+        return { prTitle, changesBody }
+    }
 
-        return { prTitle, prBody }
+    /**
+     * Markdown section of the PR body explaining why it will (or will not) be auto-merged
+     */
+    static describeAutoMergeDecision(autoMergeDecision) {
+        if (!autoMergeDecision) return '';
+        if (autoMergeDecision.autoMerge) {
+            return `\n### Auto-merge\n✅ Every environment allows auto-merge, the PR is merged once its checks pass\n`;
+        }
+        return `\n### Auto-merge\n⛔ This PR will not be auto-merged:\n` +
+            autoMergeDecision.reasons.map(reason => `- ${reason}\n`).join('');
     }
 
     /**
@@ -191,120 +750,305 @@ class PullRequestBuilder {
 
     /**
      * Even if the PR is opened, this method should unset old labels and set only the ones necessary
+     * @returns {Promise<{labels: string[], created: string[], updated: string[]}>} see LabelUtils.setPRLabels
      */
     async setPRLabels(ghClient, prNumber) {
-        return await ghClient.createAndSetLabels(
-            prNumber,
-            
-            [
-                
-                `tenant/${this.tenant}`, 
-                
-                `app/${this.application}`, 
-                
-                `env/${this.environment}`
-            
-            ]
-            
-            .concat(
-            
-                this.serviceNameList.map(service => `service/${service}`)
-            
-            )
-        )
-    }
-
-    async addPRReviewers(ghClient, prNumber) {
-        if (this.reviewers.length > 0) {
-            try {
-                await ghClient.prAddReviewers(prNumber, this.reviewers);
-            } catch (e) {
-                throw new Error('Error adding reviewers: ' + e);
+        return await LabelUtils.setPRLabels(ghClient, prNumber, this.getPRLabelDefinitions())
+    }
+
+    /**
+     * Union of the coordinate and custom labels of every coordinate in the PR
+     */
+    getPRLabelDefinitions() {
+        return LabelUtils.unique(this.prInputsList.flatMap(prInputs => LabelUtils.getLabels(prInputs, this.labelsConfig)))
+    }
+
+    getPRLabels() {
+        return this.getPRLabelDefinitions().map(label => label.name)
+    }
+
+    /**
+     * Reviewers of the PR: the ones of every input matrix entry, the ones in the reviewers.yaml file of every
+     * environment and, with codeowners_reviewers, the code owners of the changed files
+     * @param ghClient
+     * @param yamlUtils
+     * @param changedFiles - paths of the changed files, relative to the state repo root
+     * @returns {Promise<string[]>} users and teams (org/team)
+     */
+    async getReviewers(ghClient, yamlUtils, changedFiles = []) {
+        const reviewers = [...this.reviewers];
+        for (const prInputs of this.prInputsList) {
+            reviewers.push(...yamlUtils.loadReviewers(
+                prInputs.tenant, prInputs.application, prInputs.environment, path.join(this.rootFolder, prInputs.baseFolder)
+            ));
+        }
+        if (this.codeownersReviewers) {
+            const rules = await CodeownersUtils.load(ghClient, this.sourceBranch);
+            for (const fileName of changedFiles) {
+                reviewers.push(...CodeownersUtils.getOwners(rules, fileName));
             }
         }
-        return this.reviewers
+        return ReviewerUtils.normalize(reviewers);
     }
 
     /**
-     * Determine if the coordinates allow auto-merge (based on the AUTO_MERGE) and try to merge
-     * @param ghClient
+     * Requests the reviews of the PR reviewers (see getReviewers), skipping the ones that can not review it
+     * @returns {Promise<{requested: string[], skipped: Array<{reviewer: string, reason: string}>}>}
+     */
+    async addPRReviewers(ghClient, prNumber, yamlUtils, changedFiles = []) {
+        const reviewers = await this.getReviewers(ghClient, yamlUtils, changedFiles);
+        return await ReviewerUtils.requestReviewers(ghClient, prNumber, reviewers);
+    }
+
+    /**
+     * A PR is only auto-merged when every coordinate in it allows it: it must have an AUTO_MERGE marker
+     * and the updated services must comply with its rules (see AutoMergeUtils)
      * @param yamlUtils
-     * @param prNumber
-     * @returns {Promise<void>}
+     * @param context - changes of the PR (list of {prInputs, oldImagesList, oldTagsList}), its approvals
+     * and the date the time windows are checked at, and the coordinates evaluated (every coordinate by default)
+     * @returns {{autoMerge: boolean, reasons: string[]}} reasons why auto-merge is not allowed, by coordinate
      */
-    async tryToMerge(ghClient, yamlUtils, prNumber) {
-        let autoMerge = false
+    getAutoMergeDecision(yamlUtils, { changes = [], approvals = 0, now = new Date(), prInputsList = this.prInputsList } = {}) {
+        const reasons = [];
         try {
-            autoMerge = yamlUtils.determineAutoMerge(this.tenant, this.application, this.environment, this.baseFolder)
-
-            const isMergeable = await this.canMerge(ghClient);
+            for (const prInputs of prInputsList) {
+                const basePath = path.join(this.rootFolder, prInputs.baseFolder);
+                const coordinates = PullRequestBuilder.coordinates(prInputs);
+                const rules = yamlUtils.loadAutoMergeRules(prInputs.tenant, prInputs.application, prInputs.environment, basePath);
+                if (rules === null) {
+                    reasons.push(`${coordinates}: there is no AUTO_MERGE marker`);
+                    continue;
+                }
 
-            if (autoMerge && isMergeable) {
-                await ghClient.mergePr(prNumber);
-            } else {
-                console.log(this.tenant + "/" + this.application + "/" + this.environment + " does NOT allow auto-merge!")
+                const change = changes.find(change => change.prInputs === prInputs);
+                const newTag = ImageUtils.parseImageReference(prInputs.newImage).tag;
+                const updates = Object.keys(change?.oldImagesList ?? {})
+                    .map(service => ({ service, oldTag: change.oldTagsList?.[service], newTag }));
+                const fileName = path.join(basePath, prInputs.tenant, prInputs.application, prInputs.environment, 'AUTO_MERGE');
+                reasons.push(...AutoMergeUtils.evaluate(rules, { now, updates, approvals }, fileName)
+                    .map(reason => `${coordinates}: ${reason}`));
             }
-            return autoMerge // this returns true only if the pr has been merged
         } catch (e) {
             console.log('Problem reading AUTO_MERGE marker file. Setting auto-merge to false. ' + e)
-            return false;
+            return { autoMerge: false, reasons: [`unable to evaluate the AUTO_MERGE rules: ${e.message}`] };
         }
+
+        if (reasons.length > 0) {
+            console.log('Auto-merge is not allowed:\n' + reasons.map(reason => `- ${reason}`).join('\n'))
+        }
+        return { autoMerge: reasons.length === 0, reasons };
     }
 
     /**
-     * Determines if the PR has passed the checks and can be merged
-     * @param client - GitHub client
-     * @returns {Promise<void>}
+     * @returns {boolean} see getAutoMergeDecision
      */
-    async canMerge(client) {
+    determineAutoMerge(yamlUtils, context = {}) {
+        return this.getAutoMergeDecision(yamlUtils, context).autoMerge;
+    }
 
-        const start = Date.now();
+    /**
+     * Merge options of the PR: the action inputs overridden by the merge.yaml file of the coordinates,
+     * which must agree on every option they declare
+     * @returns {{method: string, commitTitle: string, commitMessage: string, deleteBranch: boolean}}
+     */
+    getMergeOptions(yamlUtils) {
+        const mergeOptions = { method: 'merge', deleteBranch: false, ...this.mergeOptions };
+        const declared = {};
+        for (const prInputs of this.prInputsList) {
+            const envOptions = yamlUtils.loadMergeOptions(
+                prInputs.tenant, prInputs.application, prInputs.environment, path.join(this.rootFolder, prInputs.baseFolder)
+            );
+            for (const [key, option] of Object.entries(MERGE_OPTION_KEYS)) {
+                if (envOptions[key] === undefined) continue;
+                if (declared[option] !== undefined && declared[option] !== envOptions[key]) {
+                    throw new Error(`The environments of branch ${this.branchName} declare different merge ${key} values: ` +
+                        `${declared[option]}, ${envOptions[key]}`);
+                }
+                declared[option] = envOptions[key];
+            }
+        }
+        Object.assign(mergeOptions, declared);
 
-        while (Date.now() - start < this.timeout) {
-            const checkRuns = [];
+        if (!MERGE_METHODS.includes(mergeOptions.method)) {
+            throw new Error(`Invalid merge method ${mergeOptions.method}, allowed values: ${MERGE_METHODS.join(', ')}`);
+        }
+        return mergeOptions;
+    }
 
-            console.log('Waiting for checks to complete...');
+    /**
+     * Values available in the PR, commit and merge commit templates. Values of coordinates that can
+     * differ in a group (tenant, app, env...) are the distinct values joined with commas
+     * @param ghClient
+     * @param prNumber - 0 if the PR does not exist yet
+     * @param prTitle - empty if the PR title is not known yet
+     * @param changes - list of {prInputs, oldImagesList, newImagesList} for every updated coordinate
+     */
+    getTemplateVariables(ghClient, prNumber, prTitle, changes) {
+        const distinct = values => [...new Set(values)].join(', ');
+        return {
+            pr_number: prNumber,
+            pr_title: prTitle,
+            branch: this.branchName,
+            run_url: ghClient.getActionUrl(),
+            repository_caller: distinct(changes.map(change => change.prInputs.repositoryCaller)),
+            tenant: distinct(changes.map(change => change.prInputs.tenant)),
+            app: distinct(changes.map(change => change.prInputs.application)),
+            env: distinct(changes.map(change => change.prInputs.environment)),
+            images: distinct(changes.map(change => change.prInputs.newImage)),
+            coordinates: changes.map(change => PullRequestBuilder.coordinates(change.prInputs)).join(', '),
+            services: distinct(changes.flatMap(change => Object.keys(change.newImagesList))),
+            old_images: distinct(changes.flatMap(change => Object.values(change.oldImagesList))),
+            new_images: distinct(changes.flatMap(change => Object.values(change.newImagesList))),
+        };
+    }
 
-            // Wait for retryInterval before checking again
-            await new Promise(resolve => setTimeout(resolve, this.retryInterval));
+    /**
+     * Arguments of ghClient.mergePr and ghClient.enablePrAutoMerge: the merge method, the rendered commit
+     * title and message and the sha pushed by this run, so a branch that moved meanwhile is not merged
+     */
+    getMergeArguments(ghClient, mergeOptions, prNumber, prTitle, changes) {
+        const variables = this.getTemplateVariables(ghClient, prNumber, prTitle, changes);
+        return {
+            mergeMethod: mergeOptions.method,
+            commitTitle: mergeOptions.commitTitle ? TemplateUtils.render(mergeOptions.commitTitle, variables) : undefined,
+            commitMessage: mergeOptions.commitMessage ? TemplateUtils.render(mergeOptions.commitMessage, variables) : undefined,
+            sha: this.headSha,
+        };
+    }
 
-            for await (const response of client.octokit.paginate.iterator(client.octokit.rest.checks.listForRef, {
-                owner: github.context.repo.owner,
-                repo: github.context.repo.repo,
-                ref: this.branchName,
-                per_page: 100
-            })) {
-                checkRuns.push(...response.data);
+    /**
+     * AUTO_MERGE rules of the coordinates that native auto-merge can not enforce, see AutoMergeUtils.getNativeUnsupportedRules
+     * @returns {string[]} coordinates and rule, e.g. tenant1/app1/pro: time_windows
+     */
+    getNativeUnsupportedRules(yamlUtils) {
+        return this.prInputsList.flatMap(prInputs => {
+            const basePath = path.join(this.rootFolder, prInputs.baseFolder);
+            const rules = yamlUtils.loadAutoMergeRules(prInputs.tenant, prInputs.application, prInputs.environment, basePath) ?? {};
+            return AutoMergeUtils.getNativeUnsupportedRules(rules).map(rule => `${PullRequestBuilder.coordinates(prInputs)}: ${rule}`);
+        });
+    }
+
+    /**
+     * Determine if the coordinates allow auto-merge (based on the AUTO_MERGE) and try to merge.
+     * With the native auto-merge mode, GitHub is asked to merge the PR once its required checks pass
+     * and the action does not wait. The checks are polled when that mode is off or can not be enabled
+     * (e.g. auto-merge is not allowed in the repository or the PR is already mergeable), and when an
+     * AUTO_MERGE marker has time windows or required approvals, which GitHub would not enforce when it merges.
+     * The branch is deleted once merged by the action if the deleteBranch merge option is set
+     * @param ghClient
+     * @param yamlUtils
+     * @param prNumber
+     * @param pr - prTitle and changes of the PR, used to render the merge commit, and the autoMergeDecision
+     * already taken for it (see getAutoMergeDecision)
+     * @returns {Promise<{autoMerge: boolean, checks: string, merged: boolean, autoMergeEnabled: boolean}>}
+     * checks is passed, failed, timed out, pending (left to GitHub native auto-merge) or skipped (no auto-merge)
+     */
+    async tryToMerge(ghClient, yamlUtils, prNumber, { prTitle = '', changes = [], autoMergeDecision } = {}) {
+        const { autoMerge } = autoMergeDecision ?? this.getAutoMergeDecision(yamlUtils, { changes })
+
+        if (!autoMerge) {
+            console.log(this.prInputsList.map(PullRequestBuilder.coordinates).join(", ") + " does NOT allow auto-merge!")
+            return { autoMerge, checks: 'skipped', merged: false, autoMergeEnabled: false }
+        }
+
+        let mergeOptions
+        let mergeArguments
+        try {
+            mergeOptions = this.getMergeOptions(yamlUtils);
+            mergeArguments = this.getMergeArguments(ghClient, mergeOptions, prNumber, prTitle, changes);
+        } catch (e) {
+            console.log('Problem reading the merge options, the PR will not be merged. ' + e)
+            return { autoMerge, checks: 'skipped', merged: false, autoMergeEnabled: false }
+        }
+
+        const unsupportedRules = this.autoMergeMode === 'native' ? this.getNativeUnsupportedRules(yamlUtils) : []
+        if (unsupportedRules.length > 0) {
+            console.log('Native auto-merge can not enforce ' + unsupportedRules.join(', ') + ', waiting for the PR checks instead')
+        } else if (this.autoMergeMode === 'native') {
+            try {
+                await ghClient.enablePrAutoMerge(prNumber, mergeArguments);
+                console.log(`Native auto-merge enabled, GitHub will merge PR ${prNumber} once its required checks pass`)
+                return { autoMerge, checks: 'pending', merged: false, autoMergeEnabled: true }
+            } catch (e) {
+                console.log('Unable to enable native auto-merge, waiting for the PR checks instead. ' + e)
             }
+        }
 
-            console.log('Check runs: ', checkRuns.map(checkRun => checkRun.name));
+        let checks
+        try {
+            checks = await this.canMerge(ghClient, this.getRequiredChecks(yamlUtils)) ? 'passed' : 'failed';
+        } catch (e) {
+            console.log('Problem waiting for the PR checks. ' + e)
+            checks = 'timed out'
+        }
 
-            // Filter check runs to include only those whose names are in the provided array
-            const filteredCheckRuns = checkRuns.filter(checkRun => this.checkNames.includes(checkRun.name));
+        if (checks !== 'passed') {
+            return { autoMerge, checks, merged: false, autoMergeEnabled: false }
+        }
 
-            console.log('Filtered check runs: ', filteredCheckRuns.map(checkRun => checkRun.name));
+        try {
+            await ghClient.mergePr(prNumber, mergeArguments);
+        } catch (e) {
+            console.log('Problem merging the PR. ' + e)
+            return { autoMerge, checks, merged: false, autoMergeEnabled: false }
+        }
 
-            // Ensure all check names are present in the filtered check runs
-            const allCheckNamesPresent = this.checkNames.every(name => filteredCheckRuns.some(checkRun => checkRun.name === name));
-            if (!allCheckNamesPresent) {
-                console.log('Not all check names are present, waiting...');
-                continue;
+        if (mergeOptions.deleteBranch) {
+            try {
+                await ghClient.deleteBranch(this.branchName);
+                console.log(`Branch ${this.branchName} deleted`)
+            } catch (e) {
+                console.log(`Problem deleting branch ${this.branchName}. ` + e)
             }
+        }
+        return { autoMerge, checks, merged: true, autoMergeEnabled: false }
+    }
+
+    /**
+     * Checks that must pass before merging: the ones declared in the required_checks.yaml file of
+     * every coordinate, or the check_names input for the coordinates without that file
+     * @returns {string[]}
+     */
+    getRequiredChecks(yamlUtils) {
+        return [...new Set(this.prInputsList.flatMap(prInputs => yamlUtils.loadRequiredChecks(
+            prInputs.tenant, prInputs.application, prInputs.environment, path.join(this.rootFolder, prInputs.baseFolder)
+        ) ?? this.checkNames ?? []))];
+    }
+
+    /**
+     * Determines if the PR has passed the checks and can be merged. Both check runs and commit
+     * statuses are taken into account, their conclusions are evaluated with checkConclusions
+     * @param client - GitHub client
+     * @param requiredChecks - names of the check runs or commit status contexts that must pass
+     * @returns {Promise<boolean>} false as soon as a required check fails
+     */
+    async canMerge(client, requiredChecks = this.checkNames) {
+
+        const start = Date.now();
+
+        while (Date.now() - start < this.timeout) {
+            console.log('Waiting for checks to complete...');
+
+            // Wait for retryInterval before checking again
+            await new Promise(resolve => setTimeout(resolve, this.retryInterval));
+
+            const checks = [
+                ...ChecksUtils.fromCheckRuns(await client.getCheckRuns(this.branchName)),
+                ...ChecksUtils.fromCommitStatuses(await client.getCommitStatuses(this.branchName)),
+            ];
+            console.log('Checks: ', checks.map(check => `${check.name}=${check.conclusion ?? 'pending'}`));
 
-            // If any check run status is completed and status is failure, then we can't merge
-            if (filteredCheckRuns.some(checkRun => checkRun.status === "completed" && checkRun.conclusion === "failure")) {
-                console.log('Check runs failed, cannot merge');
+            const { state, failed, pending } = ChecksUtils.evaluate(requiredChecks, checks, this.checkConclusions);
+            if (state === 'failed') {
+                console.log(`Checks failed (${failed.join(', ')}), cannot merge`);
                 return false;
             }
-
-            // If all check runs are completed and status is success, then we can merge
-            if (filteredCheckRuns.every(checkRun => checkRun.status === "completed" && checkRun.conclusion === "success")) {
-                console.log('Check runs passed, can merge');
+            if (state === 'passed') {
+                console.log('Checks passed, can merge');
                 return true;
             }
 
-            console.log('Check runs still in progress...');
-
+            console.log(`Checks still in progress or not reported yet: ${pending.join(', ')}`);
         }
 
         // If we reach here, then we have timed out
@@ -314,3 +1058,5 @@ class PullRequestBuilder {
 }
 
 module.exports = PullRequestBuilder;
+module.exports.ServiceUpdateError = ServiceUpdateError;
+module.exports.BRANCH_PREFIX = BRANCH_PREFIX;
@@ -1,8 +1,9 @@
 /**
- * All the inputs needed to update an image via PR
+ * All the inputs needed to update an image via PR, from an entry of the input matrix.
+ * The settings shared by every entry are passed to PullRequestBuilder
  */
 class PullRequestInputs {
-    constructor(baseFolder, tenant, application, environment, serviceNameList, newImage, checkNames, timeout, retryInterval, reviewers, repositoryCaller) {
+    constructor(baseFolder, tenant, application, environment, serviceNameList, newImage, reviewers, repositoryCaller, imagePaths, allowDowngrade, customLabels, sourceRepository) {
         this.baseFolder = baseFolder;
         this.tenant = tenant;
         this.application = application;
@@ -10,10 +11,11 @@ class PullRequestInputs {
         this.serviceNameList = serviceNameList;
         this.newImage = newImage;
         this.reviewers = reviewers;
-        this.checkNames = checkNames;
-        this.timeout = timeout;
-        this.retryInterval = retryInterval;
         this.repositoryCaller = repositoryCaller;
+        this.imagePaths = imagePaths;
+        this.allowDowngrade = allowDowngrade;
+        this.customLabels = customLabels;
+        this.sourceRepository = sourceRepository;
     }
 
     print() {
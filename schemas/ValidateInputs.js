@@ -1,6 +1,10 @@
 const Ajv = require("ajv")
 const betterAjvErrors = require('better-ajv-errors').default;
 const schema = require('./state_repo_update_image_schema.json');
+const autoMergeRulesSchema = require('./auto_merge_rules_schema.json');
+const imagePoliciesSchema = require('./image_policies_schema.json');
+const labelsSchema = require('./labels_schema.json');
+const stalePrsSchema = require('./stale_prs_schema.json');
 
 class ValidateInputs {
 
@@ -13,6 +17,46 @@ class ValidateInputs {
             throw new Error(prettyErr)
         }
     }
+
+    static checkValidAutoMergeRules(rules, fileName) {
+        const ajv = new Ajv({allErrors: true})
+        const validate = ajv.compile(autoMergeRulesSchema)
+        const valid = validate(rules)
+        if (!valid) {
+            const prettyErr = betterAjvErrors(autoMergeRulesSchema, rules, validate.errors, {indent: 2})
+            throw new Error(`Invalid auto-merge rules in ${fileName}:\n${prettyErr}`)
+        }
+    }
+
+    static checkValidImagePolicies(policies) {
+        const ajv = new Ajv({allErrors: true})
+        const validate = ajv.compile(imagePoliciesSchema)
+        const valid = validate(policies)
+        if (!valid) {
+            const prettyErr = betterAjvErrors(imagePoliciesSchema, policies, validate.errors, {indent: 2})
+            throw new Error(`Invalid image_policies:\n${prettyErr}`)
+        }
+    }
+
+    static checkValidLabels(labels) {
+        const ajv = new Ajv({allErrors: true})
+        const validate = ajv.compile(labelsSchema)
+        const valid = validate(labels)
+        if (!valid) {
+            const prettyErr = betterAjvErrors(labelsSchema, labels, validate.errors, {indent: 2})
+            throw new Error(`Invalid labels:\n${prettyErr}`)
+        }
+    }
+
+    static checkValidStalePrs(options) {
+        const ajv = new Ajv({allErrors: true})
+        const validate = ajv.compile(stalePrsSchema)
+        const valid = validate(options)
+        if (!valid) {
+            const prettyErr = betterAjvErrors(stalePrsSchema, options, validate.errors, {indent: 2})
+            throw new Error(`Invalid stale_prs:\n${prettyErr}`)
+        }
+    }
 }
 
 module.exports = ValidateInputs;
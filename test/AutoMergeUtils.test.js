@@ -0,0 +1,63 @@
+const AutoMergeUtils = require('../utils/AutoMergeUtils');
+
+// Friday 2024-05-10
+const fridayMorning = new Date('2024-05-10T08:30:00Z');
+const fridayEvening = new Date('2024-05-10T18:30:00Z');
+
+test('evaluate without rules', () => {
+  expect(AutoMergeUtils.evaluate({}, { updates: [{ service: 'proxy', oldTag: '1.0.0', newTag: '2.0.0' }] })).toEqual([]);
+});
+
+test('evaluate freeze', () => {
+  expect(AutoMergeUtils.evaluate({ freeze: true })).toEqual(['the environment is frozen']);
+  expect(AutoMergeUtils.evaluate({ freeze: false })).toEqual([]);
+});
+
+test('evaluate time windows', () => {
+  const rules = {
+    timezone: 'Europe/Madrid',
+    time_windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '08:00', to: '18:00' }]
+  };
+  expect(AutoMergeUtils.evaluate(rules, { now: fridayMorning })).toEqual([]);
+  expect(AutoMergeUtils.evaluate(rules, { now: fridayEvening }))
+    .toEqual(['fri 20:30 (Europe/Madrid) is outside the allowed time windows']);
+  expect(AutoMergeUtils.isInTimeWindow({ days: ['fri'] }, fridayEvening)).toBe(true);
+  expect(AutoMergeUtils.isInTimeWindow({ from: '19:00' }, fridayEvening)).toBe(false);
+});
+
+test('evaluate allowed tags and updates', () => {
+  const updates = [
+    { service: 'proxy', oldTag: '1.4.0', newTag: '1.4.1' },
+    { service: 'worker', oldTag: '1.3.2', newTag: '1.4.1' },
+    { service: 'dns', oldTag: 'latest', newTag: '1.4.1' },
+  ];
+  expect(AutoMergeUtils.evaluate({ allowed_updates: ['patch'] }, { updates })).toEqual([
+    '1.3.2 -> 1.4.1 of service worker is a minor update, allowed updates: patch',
+    'latest -> 1.4.1 of service dns is not a semver update',
+  ]);
+  expect(AutoMergeUtils.evaluate({ allowed_tags: ['^1\\.4\\.'] }, { updates })).toEqual([]);
+  expect(AutoMergeUtils.evaluate({ allowed_tags: ['-rc\\d+$'] }, { updates: [updates[0]] }))
+    .toEqual(['tag 1.4.1 of service proxy does not match the allowed tags']);
+});
+
+test('evaluate allowed services and approvals', () => {
+  const updates = [{ service: 'proxy', oldTag: '1.4.0', newTag: '1.4.1' }, { service: 'dns', oldTag: '1.4.0', newTag: '1.4.1' }];
+  expect(AutoMergeUtils.evaluate({ allowed_services: ['proxy'], required_approvals: 1 }, { updates, approvals: 0 })).toEqual([
+    'service dns is not in the allowed services',
+    'the pull request has 0 approval(s), 1 required',
+  ]);
+  expect(AutoMergeUtils.evaluate({ required_approvals: 1 }, { approvals: 1 })).toEqual([]);
+});
+
+test('evaluate invalid rules', () => {
+  expect(() => AutoMergeUtils.evaluate({ frezee: true }, {}, 'tenant1/app1/dev/AUTO_MERGE'))
+    .toThrow('Invalid auto-merge rules in tenant1/app1/dev/AUTO_MERGE');
+  expect(() => AutoMergeUtils.evaluate({ time_windows: [{ from: '8am' }] }))
+    .toThrow('Invalid auto-merge rules in AUTO_MERGE');
+});
+
+test('getNativeUnsupportedRules', () => {
+  expect(AutoMergeUtils.getNativeUnsupportedRules({})).toEqual([]);
+  expect(AutoMergeUtils.getNativeUnsupportedRules({ allowed_updates: ['patch'], required_approvals: 1 })).toEqual(['required_approvals']);
+  expect(AutoMergeUtils.getNativeUnsupportedRules({ time_windows: [], required_approvals: 2 })).toEqual(['time_windows', 'required_approvals']);
+});
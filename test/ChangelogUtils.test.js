@@ -0,0 +1,66 @@
+const ChangelogUtils = require('../utils/ChangelogUtils');
+
+const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+test('resolveSourceRepository', () => {
+  const sourceRepositories = { 'ghcr.io/org/proxy': 'org/proxy-src' };
+  expect(ChangelogUtils.resolveSourceRepository('ghcr.io/org/proxy:1.5.0', { sourceRepository: 'org/explicit', sourceRepositories }, 'caller', 'owner'))
+    .toBe('org/explicit');
+  expect(ChangelogUtils.resolveSourceRepository('ghcr.io/org/proxy:1.5.0', { sourceRepositories }, 'caller', 'owner'))
+    .toBe('org/proxy-src');
+  expect(ChangelogUtils.resolveSourceRepository('ghcr.io/org/dns:1.5.0', { sourceRepositories }, 'caller', 'owner'))
+    .toBe('owner/caller');
+  expect(ChangelogUtils.resolveSourceRepository('ghcr.io/org/dns:1.5.0', {}, 'other/caller', 'owner'))
+    .toBe('other/caller');
+  expect(ChangelogUtils.resolveSourceRepository('ghcr.io/org/dns:1.5.0', undefined, undefined, 'owner'))
+    .toBe(undefined);
+});
+
+test('compareTags falls back to v prefixed tags', async () => {
+  const comparison = { url: 'https://github.com/org/proxy/compare/v1.4.0...v1.5.0', totalCommits: 0, commits: [] };
+  const ghClient = {
+    compareRefs: jest.fn(async (repository, base) => {
+      if (!base.startsWith('v')) throw notFound();
+      return comparison;
+    })
+  };
+
+  expect(await ChangelogUtils.compareTags(ghClient, 'org/proxy', '1.4.0', '1.5.0')).toBe(comparison);
+  expect(ghClient.compareRefs).toHaveBeenCalledWith('org/proxy', 'v1.4.0', 'v1.5.0');
+  expect(await ChangelogUtils.compareTags({ compareRefs: jest.fn().mockRejectedValue(notFound()) }, 'org/proxy', 'v1', 'v2'))
+    .toBe(null);
+});
+
+test('getChangelog', async () => {
+  const commits = Array.from({ length: 22 }, (_, i) => ({ sha: `${i}`.padEnd(40, 'a'), message: `commit ${i}` }));
+  const ghClient = {
+    compareRefs: jest.fn(async (repository) => {
+      if (repository === 'org/proxy') return { url: 'https://github.com/org/proxy/compare/1.4.0...1.5.0', totalCommits: 22, commits };
+      if (repository === 'org/private') throw Object.assign(new Error('Forbidden'), { status: 403 });
+      throw notFound();
+    })
+  };
+
+  const changelog = await ChangelogUtils.getChangelog(ghClient, [
+    { image: 'foo/proxy', sourceRepository: 'org/proxy', oldTag: '1.4.0', newTag: '1.5.0' },
+    { image: 'foo/proxy', sourceRepository: 'org/proxy', oldTag: '1.4.0', newTag: '1.5.0' },
+    { image: 'foo/dns', sourceRepository: 'org/dns', oldTag: '1.0.0', newTag: '1.1.0' },
+    { image: 'foo/secret', sourceRepository: 'org/private', oldTag: '1.0.0', newTag: '1.1.0' },
+    { image: 'foo/worker', sourceRepository: undefined, oldTag: undefined, newTag: '1.1.0' },
+  ]);
+
+  const lines = changelog.split('\n');
+  expect(lines.slice(0, 5)).toEqual([
+    '',
+    '### Changelog',
+    '**foo/proxy** `1.4.0` → `1.5.0` ([compare](https://github.com/org/proxy/compare/1.4.0...1.5.0))',
+    '- 21aaaaa commit 21',
+    '- 20aaaaa commit 20',
+  ]);
+  expect(changelog).toContain('- _and 2 more commits_\n');
+  expect(changelog).not.toContain('commit 1\n');
+  expect(changelog).toContain('**foo/dns** `1.0.0` → `1.1.0`: changelog not available (tags not found or not readable in org/dns)\n');
+  expect(changelog).toContain('**foo/secret** `1.0.0` → `1.1.0`: changelog not available (tags not found or not readable in org/private)\n');
+  expect(changelog).toContain('**foo/worker** `?` → `1.1.0`: changelog not available (unknown source repository or tags)\n');
+  expect(await ChangelogUtils.getChangelog(ghClient, [])).toBe('');
+});
@@ -0,0 +1,52 @@
+const ChecksUtils = require('../utils/ChecksUtils');
+
+test('fromCheckRuns keeps the latest run of every check', () => {
+  expect(ChecksUtils.fromCheckRuns([
+    { id: 1, name: 'PR Verify', status: 'completed', conclusion: 'failure' },
+    { id: 3, name: 'PR Verify', status: 'in_progress', conclusion: null },
+    { id: 2, name: 'lint', status: 'completed', conclusion: 'success' },
+  ])).toEqual([
+    { name: 'PR Verify', conclusion: undefined },
+    { name: 'lint', conclusion: 'success' },
+  ]);
+});
+
+test('fromCommitStatuses', () => {
+  expect(ChecksUtils.fromCommitStatuses([
+    { context: 'ci/jenkins', state: 'pending' },
+    { context: 'security/scan', state: 'error' },
+  ])).toEqual([
+    { name: 'ci/jenkins', conclusion: undefined },
+    { name: 'security/scan', conclusion: 'error' },
+  ]);
+});
+
+test('evaluate', () => {
+  const checks = [
+    { name: 'PR Verify', conclusion: 'success' },
+    { name: 'docs', conclusion: 'skipped' },
+    { name: 'e2e', conclusion: 'cancelled' },
+    { name: 'deploy', conclusion: undefined },
+  ];
+
+  expect(ChecksUtils.evaluate(['PR Verify', 'docs'], checks))
+    .toEqual({ state: 'passed', failed: [], pending: [] });
+  expect(ChecksUtils.evaluate(['PR Verify', 'e2e', 'deploy'], checks))
+    .toEqual({ state: 'failed', failed: ['e2e'], pending: ['deploy'] });
+  expect(ChecksUtils.evaluate(['PR Verify', 'deploy', 'missing'], checks))
+    .toEqual({ state: 'pending', failed: [], pending: ['deploy', 'missing'] });
+  expect(ChecksUtils.evaluate([], checks).state).toBe('passed');
+});
+
+test('evaluate with custom conclusions', () => {
+  const checks = [
+    { name: 'docs', conclusion: 'skipped' },
+    { name: 'e2e', conclusion: 'cancelled' },
+  ];
+  const conclusions = { pass: ['success', 'cancelled'], fail: ['failure', 'skipped'] };
+
+  expect(ChecksUtils.evaluate(['e2e'], checks, conclusions).state).toBe('passed');
+  expect(ChecksUtils.evaluate(['docs'], checks, conclusions).state).toBe('failed');
+  // A conclusion that neither passes nor fails keeps waiting
+  expect(ChecksUtils.evaluate(['e2e'], checks, { pass: ['success'], fail: ['failure'] }).state).toBe('pending');
+});
@@ -0,0 +1,49 @@
+const CodeownersUtils = require('../utils/CodeownersUtils');
+
+test('patternToRegex', () => {
+  const matches = (pattern, filePath) => CodeownersUtils.patternToRegex(pattern).test(filePath);
+
+  expect(matches('*', 'tenant1/app1/dev/images.yaml')).toBe(true);
+  expect(matches('*.yaml', 'tenant1/app1/dev/images.yaml')).toBe(true);
+  expect(matches('*.json', 'tenant1/app1/dev/images.yaml')).toBe(false);
+  expect(matches('images.yaml', 'tenant1/app1/dev/images.yaml')).toBe(true);
+  expect(matches('/tenant1/', 'tenant1/app1/dev/images.yaml')).toBe(true);
+  expect(matches('/tenant1/', 'apps/tenant1/app1/dev/images.yaml')).toBe(false);
+  expect(matches('tenant1', 'apps/tenant1/app1/dev/images.yaml')).toBe(true);
+  expect(matches('tenant1/app?', 'tenant1/app1/dev/images.yaml')).toBe(true);
+  expect(matches('tenant1/*', 'tenant1/app1/dev/images.yaml')).toBe(false);
+  expect(matches('tenant1/*/dev/*', 'tenant1/app1/dev/images.yaml')).toBe(true);
+  expect(matches('**/pro/', 'tenant1/app1/pro/images.yaml')).toBe(true);
+  expect(matches('tenant1/**/images.yaml', 'tenant1/app1/pro/images.yaml')).toBe(true);
+  expect(matches('tenant1/**/images.yaml', 'tenant2/app1/pro/images.yaml')).toBe(false);
+});
+
+test('parse and getOwners', () => {
+  const rules = CodeownersUtils.parse([
+    '# Owners of the state repo',
+    '*                 @prefapp/platform',
+    '',
+    '/tenant1/         @Rev1 @prefapp/tenant1 ops@example.com # tenant owners',
+    '/tenant1/*/pro/   @prefapp/tenant1-pro',
+    '/tenant2/',
+  ].join('\n'));
+
+  expect(rules.map(rule => [rule.pattern, rule.owners])).toEqual([
+    ['*', ['prefapp/platform']],
+    ['/tenant1/', ['Rev1', 'prefapp/tenant1']],
+    ['/tenant1/*/pro/', ['prefapp/tenant1-pro']],
+    ['/tenant2/', []],
+  ]);
+  expect(CodeownersUtils.getOwners(rules, 'tenant1/app1/dev/images.yaml')).toEqual(['Rev1', 'prefapp/tenant1']);
+  expect(CodeownersUtils.getOwners(rules, 'tenant1/app1/pro/images.yaml')).toEqual(['prefapp/tenant1-pro']);
+  expect(CodeownersUtils.getOwners(rules, 'tenant2/app1/pro/images.yaml')).toEqual([]);
+  expect(CodeownersUtils.getOwners(rules, 'tenant3/app1/pro/images.yaml')).toEqual(['prefapp/platform']);
+  expect(CodeownersUtils.getOwners([], 'tenant3/app1/pro/images.yaml')).toEqual([]);
+});
+
+test('load', async () => {
+  const ghClient = { getFileContent: jest.fn(async filePath => filePath === 'docs/CODEOWNERS' ? '* @rev1' : null) };
+  expect((await CodeownersUtils.load(ghClient, 'main')).map(rule => rule.owners)).toEqual([['rev1']]);
+  expect(ghClient.getFileContent.mock.calls.map(call => call[0])).toEqual(['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS']);
+  expect(await CodeownersUtils.load({ getFileContent: async () => null }, 'main')).toEqual([]);
+});
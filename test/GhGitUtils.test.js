@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ghGitUtils = require('../utils/GhGitUtils.js');
+const { BranchLeaseError } = require('../utils/GitUtils.js');
+const PullRequestBuilder = require('../model/PullRequestBuilder.js');
+const { yamlUtils } = require('../utils/YamlUtils.js');
+
+// In-memory stand-in for the ghUtils git data methods
+const fakeGhClient = () => ({
+  branches: { main: 'sha-main' },
+  files: {
+    'tenant1/app1/dev/images.yaml': '# dev images\nproxy:\n  image: foo/proxy:1.4.0 # pinned\n',
+    'tenant1/app1/dev/AUTO_MERGE': '',
+  },
+  commits: [],
+  getBranchSha: jest.fn(async function (branch) { return this.branches[branch] ?? null }),
+  getDirectoryFiles: jest.fn(async function (dirPath) {
+    return Object.fromEntries(Object.entries(this.files).filter(([file]) => path.dirname(file) === dirPath))
+  }),
+  createCommit: jest.fn(async function (message, baseSha, files) {
+    this.commits.push({ message, baseSha, files });
+    return `sha-${this.commits.length}`
+  }),
+  setBranchSha: jest.fn(async function (branch, sha) { this.branches[branch] = sha }),
+})
+
+test('ghGitUtils resetHard and fetch', async () => {
+  const ghClient = fakeGhClient();
+  const gitClient = new ghGitUtils(ghClient, '/tmp/unused');
+
+  await gitClient.resetHard(gitClient.remoteRef('main'));
+  expect(gitClient.headSha).toBe('sha-main');
+  expect(await gitClient.fetch('main')).toBe(true);
+  expect(await gitClient.fetch('automated/inexistent')).toBe(false);
+  await expect(gitClient.resetHard('inexistent')).rejects.toThrow('Branch inexistent does not exist');
+});
+
+test('PullRequestBuilder commits through the GitHub API', async () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gh-git-utils-'));
+  try {
+    const ghClient = fakeGhClient();
+    const gitClient = new ghGitUtils(ghClient, workDir);
+    const prBuilder = new PullRequestBuilder({
+      baseFolder: '',
+      tenant: 'tenant1',
+      application: 'app1',
+      environment: 'dev',
+      serviceNameList: ['proxy'],
+      newImage: 'foo/proxy:1.5.0',
+      repositoryCaller: 'caller'
+    }, 'main');
+    const branch = 'automated/update-image-tenant1-app1-dev-caller';
+
+    expect(await prBuilder.createPRBranchFrom(gitClient, 'main')).toBe(true);
+    await prBuilder.checkoutEnvironmentFolders(gitClient);
+
+    const { fileName } = prBuilder.updateImageInFile(yamlUtils, prBuilder.prInputsList[0], 'proxy');
+    expect(prBuilder.determineAutoMerge(yamlUtils)).toBe(true);
+
+    await prBuilder.sedUpdatedImageFileToOrigin(gitClient, [path.relative(workDir, fileName)]);
+
+    expect(ghClient.commits).toEqual([{
+      message: 'feat: Image value updated to latest version',
+      baseSha: 'sha-main',
+      files: { 'tenant1/app1/dev/images.yaml': '# dev images\nproxy:\n  image: foo/proxy:1.5.0 # pinned\n' }
+    }]);
+    expect(ghClient.setBranchSha).toHaveBeenCalledWith(branch, 'sha-1', true);
+    expect(await gitClient.revParse('HEAD')).toBe('sha-1');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
+
+test('ghGitUtils push with lease', async () => {
+  const ghClient = fakeGhClient();
+  const gitClient = new ghGitUtils(ghClient, '/tmp/unused');
+  gitClient.headSha = 'sha-new';
+
+  await expect(gitClient.push('main', { lease: 'sha-old' })).rejects.toThrow(BranchLeaseError);
+  await expect(gitClient.push('main', { lease: '' })).rejects.toThrow('Branch main was updated by someone else');
+  expect(ghClient.setBranchSha).not.toHaveBeenCalled();
+
+  await gitClient.push('main', { lease: 'sha-main' });
+  expect(ghClient.setBranchSha).toHaveBeenCalledWith('main', 'sha-new', true);
+});
+
+test('ghGitUtils does not support rebasing foreign commits', async () => {
+  const gitClient = new ghGitUtils(fakeGhClient(), '/tmp/unused');
+  await expect(gitClient.cherryPick(['sha'])).rejects.toThrow('only supported with commit_mode git');
+});
@@ -0,0 +1,129 @@
+const http = require('http');
+const github = require('@actions/github');
+const ghUtils = require('../utils/GhUtils');
+const GhRequestUtils = require('../utils/GhRequestUtils');
+
+const context = {
+  payload: {
+    repository: {
+      default_branch: 'main',
+      name: 'state-repo',
+      owner: { login: 'prefapp' }
+    }
+  }
+};
+
+const fakeCore = () => ({ info: jest.fn(), warning: jest.fn() });
+
+test('getRetryDelay', () => {
+  const requestUtils = new GhRequestUtils(fakeCore(), { minDelay: 1000, maxDelay: 60000 });
+  const error = (status, headers = {}, message = 'error') => Object.assign(new Error(message), { status, response: { headers } });
+
+  expect(requestUtils.getRetryDelay('GET /repos/{owner}/{repo}', error(502), 0)).toBe(1000);
+  expect(requestUtils.getRetryDelay('GET /repos/{owner}/{repo}', error(503), 2)).toBe(4000);
+  expect(requestUtils.getRetryDelay('GET /repos/{owner}/{repo}', error(undefined), 10)).toBe(60000);
+  expect(requestUtils.getRetryDelay('POST /repos/{owner}/{repo}/pulls', error(502), 0)).toBe(undefined);
+  expect(requestUtils.getRetryDelay('POST /repos/{owner}/{repo}/labels', error(502), 0)).toBe(1000);
+  expect(requestUtils.getRetryDelay('GET /repos/{owner}/{repo}', error(404), 0)).toBe(undefined);
+  expect(requestUtils.getRetryDelay('GET /repos/{owner}/{repo}', error(403, {}, 'Resource not accessible by integration'), 0))
+    .toBe(undefined);
+
+  // Rate limits, also for requests that are not idempotent: GitHub did not process them
+  expect(requestUtils.getRetryDelay('POST /repos/{owner}/{repo}/pulls', error(403, { 'retry-after': '5' }), 0)).toBe(5000);
+  expect(requestUtils.getRetryDelay('PUT /repos/{owner}/{repo}/pulls/{pull_number}/merge',
+    error(403, {}, 'You have exceeded a secondary rate limit'), 1)).toBe(2000);
+  expect(requestUtils.getRetryDelay('GET /repos/{owner}/{repo}', error(429, { 'retry-after': '0' }), 0)).toBe(1000);
+  expect(requestUtils.getRetryDelay('GET /repos/{owner}/{repo}', error(403, {
+    'x-ratelimit-remaining': '0', 'x-ratelimit-reset': `${Math.floor(Date.now() / 1000) + 30}`
+  }), 0)).toBeGreaterThan(20000);
+  expect(requestUtils.getRetryDelay('GET /repos/{owner}/{repo}', error(403, {
+    'x-ratelimit-remaining': '0', 'x-ratelimit-reset': `${Math.floor(Date.now() / 1000) + 3600}`
+  }), 0)).toBe(undefined);
+});
+
+// Stand-in of the GitHub API that fails the first requests of some endpoints
+describe('against a local GitHub API', () => {
+  let server;
+  let baseUrl;
+  let failures;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      const key = `${req.method} ${req.url.split('?')[0]}`;
+      const headers = { 'Content-Type': 'application/json', 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': '1700000000' };
+      const failure = (failures[key] ?? []).shift();
+      if (failure) {
+        res.writeHead(failure.status, { ...headers, 'x-ratelimit-remaining': '4000', ...failure.headers });
+        return res.end(JSON.stringify(failure.body ?? { message: 'Server Error' }));
+      }
+      res.writeHead(key.includes('labels') ? 201 : 200, { ...headers, 'x-ratelimit-remaining': '100' });
+      res.end(JSON.stringify(key.includes('pulls/') ? { number: 42, user: { login: 'bot' } } : {}));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  const client = (core, options = {}) => {
+    const requestUtils = new GhRequestUtils(core, { minDelay: 1, ...options });
+    const octokit = requestUtils.install(github.getOctokit('token', { baseUrl, request: { agent: new http.Agent() } }));
+    return { requestUtils, ghClient: new ghUtils(context, octokit) };
+  };
+
+  test('retries secondary rate limits and server errors', async () => {
+    failures = {
+      'GET /repos/prefapp/state-repo/pulls/42': [
+        { status: 403, headers: { 'retry-after': '0' }, body: { message: 'You have exceeded a secondary rate limit' } },
+        { status: 502 },
+      ]
+    };
+    const core = fakeCore();
+    const { requestUtils, ghClient } = client(core);
+
+    expect(await ghClient.getPrAuthor(42)).toBe('bot');
+    expect(requests).toEqual(Array(3).fill('GET /repos/prefapp/state-repo/pulls/42'));
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('GET /repos/{owner}/{repo}/pulls/{pull_number} failed (403'));
+    expect(requestUtils.rateLimit).toEqual({ limit: 5000, remaining: 100, reset: 1700000000 });
+    expect(core.warning).toHaveBeenCalledWith('GitHub API rate limit running low: 100/5000 requests left, resets at 2023-11-14T22:13:20.000Z');
+  });
+
+  test('gives up after the retries', async () => {
+    failures = { 'GET /repos/prefapp/state-repo/pulls/42': Array(3).fill({ status: 503 }) };
+    const { ghClient } = client(fakeCore(), { retries: 2 });
+
+    await expect(ghClient.getPrAuthor(42)).rejects.toMatchObject({ status: 503 });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('does not resend a PR creation after a server error', async () => {
+    failures = { 'POST /repos/prefapp/state-repo/pulls': [{ status: 502 }] };
+    const { ghClient } = client(fakeCore());
+
+    await expect(ghClient.createPr('automated/branch', 'title', 'body')).rejects.toMatchObject({ status: 502 });
+    expect(requests).toEqual(['POST /repos/prefapp/state-repo/pulls']);
+  });
+
+  test('takes a label that already exists as created', async () => {
+    failures = {
+      'POST /repos/prefapp/state-repo/labels': [
+        { status: 502 },
+        { status: 422, body: { message: 'Validation Failed', errors: [{ resource: 'Label', code: 'already_exists', field: 'name' }] } },
+      ]
+    };
+    const core = fakeCore();
+    const { ghClient } = client(core);
+
+    await ghClient.createLabel('env/dev', '33810b');
+    expect(requests).toEqual(Array(2).fill('POST /repos/prefapp/state-repo/labels'));
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('POST /repos/{owner}/{repo}/labels was already done'));
+  });
+});
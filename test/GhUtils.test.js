@@ -82,6 +82,108 @@ test('ghUtils prAddReviewers', async () => {
   ,);
 });
 
+test('ghUtils getPrAuthor, isCollaborator and getFileContent', async () => {
+  const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+  const ghClient = new ghUtils(context, {
+    rest: {
+      pulls: { get: jest.fn().mockResolvedValue({ data: { user: { login: 'github-actions[bot]' } } }) },
+      repos: {
+        checkCollaborator: jest.fn(async ({ username }) => {
+          if (username !== 'rev1') throw notFound;
+          return { status: 204 };
+        }),
+        getContent: jest.fn(async ({ path }) => {
+          if (path !== 'CODEOWNERS') throw notFound;
+          return { data: { content: Buffer.from('* @rev1\n').toString('base64') } };
+        })
+      }
+    }
+  });
+
+  expect(await ghClient.getPrAuthor(42)).toBe('github-actions[bot]');
+  expect(await ghClient.isCollaborator('rev1')).toBe(true);
+  expect(await ghClient.isCollaborator('stranger')).toBe(false);
+  expect(await ghClient.getFileContent('CODEOWNERS', 'main')).toBe('* @rev1\n');
+  expect(await ghClient.getFileContent('.github/CODEOWNERS', 'main')).toBe(null);
+});
+
+test('ghUtils getRepoLabels and getOpenIssueLabels', async () => {
+  const labelsOctokit = {
+    rest: { issues: { listLabelsForRepo: jest.fn(), listForRepo: jest.fn() } },
+    paginate: jest.fn(async (method, inputs, mapFn) => mapFn({
+      data: method === labelsOctokit.rest.issues.listLabelsForRepo
+        ? [{ id: 1, name: 'env/dev', color: '33810b', description: null, default: false }]
+        : [{ number: 1, labels: [{ name: 'env/dev' }, 'bug'] }, { number: 2, labels: [{ name: 'env/dev' }] }]
+    }))
+  };
+  const ghClient = new ghUtils(context, labelsOctokit);
+
+  expect(await ghClient.getRepoLabels()).toEqual([{ name: 'env/dev', color: '33810b', description: '' }]);
+  expect(await ghClient.getOpenIssueLabels()).toEqual(['env/dev', 'bug']);
+  expect(labelsOctokit.paginate).toHaveBeenLastCalledWith(
+    labelsOctokit.rest.issues.listForRepo,
+    { owner: 'login_dueño', repo: 'repo_name', state: 'open', per_page: 100 },
+    expect.any(Function)
+  );
+});
+
+test('ghUtils getBranchPRs and branchHasOpenPR', async () => {
+  const prsOctokit = {
+    rest: { pulls: { list: jest.fn() } },
+    paginate: jest.fn(async (method, inputs, mapFn) => mapFn({ data: [
+      { number: 9, state: 'closed', merged_at: null },
+      { number: 8, state: 'open', merged_at: null },
+      { number: 7, state: 'closed', merged_at: '2024-01-01T00:00:00Z' },
+    ] }))
+  };
+  const ghClient = new ghUtils(context, prsOctokit);
+
+  expect(await ghClient.getBranchPRs('automated/branch')).toEqual([
+    { number: 9, state: 'closed', merged: false },
+    { number: 8, state: 'open', merged: false },
+    { number: 7, state: 'closed', merged: true },
+  ]);
+  expect(prsOctokit.paginate).toHaveBeenCalledWith(
+    prsOctokit.rest.pulls.list,
+    {
+      owner: 'login_dueño', repo: 'repo_name', head: 'login_dueño:automated/branch',
+      state: 'all', sort: 'created', direction: 'desc', per_page: 100
+    },
+    expect.any(Function)
+  );
+  expect(await ghClient.branchHasOpenPR('automated/branch')).toBe(8);
+});
+
+test('ghUtils getOpenPRs', async () => {
+  const head = (ref, fullName) => ({ ref, sha: `${ref}-sha`, repo: fullName ? { full_name: fullName } : null });
+  const prsOctokit = {
+    rest: { pulls: { list: jest.fn() } },
+    paginate: jest.fn(async (method, inputs, mapFn) => mapFn({ data: [
+      { number: 9, head: head('automated/branch', 'login_dueño/repo_name'), labels: [{ name: 'env/dev' }], updated_at: '2024-01-01T00:00:00Z' },
+      { number: 8, head: head('automated/branch', 'fork/repo_name'), labels: [], updated_at: '2024-01-01T00:00:00Z' },
+      { number: 7, head: head('deleted-fork'), labels: [], updated_at: '2024-01-01T00:00:00Z' },
+    ] }))
+  };
+  const ghClient = new ghUtils(context, prsOctokit);
+
+  expect(await ghClient.getOpenPRs()).toEqual([
+    { number: 9, branch: 'automated/branch', headSha: 'automated/branch-sha', labels: ['env/dev'], updatedAt: '2024-01-01T00:00:00Z' },
+  ]);
+  expect(prsOctokit.paginate).toHaveBeenCalledWith(
+    prsOctokit.rest.pulls.list,
+    { owner: 'login_dueño', repo: 'repo_name', state: 'open', per_page: 100 },
+    expect.any(Function)
+  );
+});
+
+test('ghUtils getMergeBase', async () => {
+  const compareCommitsWithBasehead = jest.fn().mockResolvedValue({ data: { merge_base_commit: { sha: 'abc' } } });
+  const ghClient = new ghUtils(context, { rest: { repos: { compareCommitsWithBasehead } } });
+
+  expect(await ghClient.getMergeBase('main', 'def')).toBe('abc');
+  expect(compareCommitsWithBasehead).toHaveBeenCalledWith({ owner: 'login_dueño', repo: 'repo_name', basehead: 'main...def', per_page: 1 });
+});
+
 test('ghUtils mergePr', async () => {
   let ghClient = new ghUtils(context, octokit);
   const ghResponse = await ghClient.mergePr(666);
@@ -94,3 +196,172 @@ test('ghUtils mergePr', async () => {
                             })
   ,);
 });
+
+test('ghUtils mergePr with merge method', async () => {
+  let ghClient = new ghUtils(context, octokit);
+  await ghClient.mergePr(666, { mergeMethod: 'squash', commitTitle: 'title', commitMessage: 'message', sha: 'head-sha' });
+  expect(octokit.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({
+    pull_number: 666, merge_method: 'squash', commit_title: 'title', commit_message: 'message', sha: 'head-sha'
+  }));
+});
+
+test('ghUtils enablePrAutoMerge', async () => {
+  const graphqlOctokit = {
+    rest: { pulls: { get: jest.fn().mockResolvedValue({ data: { node_id: 'PR_node' } }) } },
+    graphql: jest.fn().mockResolvedValue({ enablePullRequestAutoMerge: { pullRequest: { number: 666 } } })
+  }
+  let ghClient = new ghUtils(context, graphqlOctokit);
+  await ghClient.enablePrAutoMerge(666, { mergeMethod: 'squash', commitTitle: 'title', sha: 'head-sha' });
+  expect(graphqlOctokit.rest.pulls.get).toHaveBeenCalledWith(
+    { owner: "login_dueño", repo: "repo_name", pull_number: 666 }
+  );
+  expect(graphqlOctokit.graphql).toHaveBeenCalledWith(
+    expect.stringContaining('enablePullRequestAutoMerge'),
+    { pullRequestId: 'PR_node', mergeMethod: 'SQUASH', commitHeadline: 'title', commitBody: undefined, expectedHeadOid: 'head-sha' }
+  );
+});
+
+test('ghUtils deleteBranch', async () => {
+  const deleteRef = jest.fn().mockResolvedValue('deleted');
+  let ghClient = new ghUtils(context, { rest: { git: { deleteRef } } });
+  await ghClient.deleteBranch('automated/branch');
+  expect(deleteRef).toHaveBeenCalledWith({ owner: "login_dueño", repo: "repo_name", ref: "heads/automated/branch" });
+});
+
+test('ghUtils getPrUrl', () => {
+  let ghClient = new ghUtils(context, octokit);
+  expect(ghClient.getPrUrl(42)).toBe("https://github.com/login_dueño/repo_name/pull/42");
+});
+
+test('ghUtils getBranchSha', async () => {
+  const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+  const getRef = jest.fn()
+    .mockResolvedValueOnce({ data: { object: { sha: 'abc' } } })
+    .mockRejectedValueOnce(notFound);
+  let ghClient = new ghUtils(context, { rest: { git: { getRef } } });
+
+  expect(await ghClient.getBranchSha('main')).toBe('abc');
+  expect(getRef).toHaveBeenCalledWith({ owner: "login_dueño", repo: "repo_name", ref: "heads/main" });
+  expect(await ghClient.getBranchSha('inexistent')).toBe(null);
+});
+
+test('ghUtils getDirectoryFiles', async () => {
+  const getContent = jest.fn(async ({ path }) => {
+    if (path === 'tenant1/app1/dev') {
+      return { data: [{ type: 'file', path: 'tenant1/app1/dev/images.yaml' }, { type: 'dir', path: 'tenant1/app1/dev/sub' }] };
+    }
+    return { data: { content: Buffer.from('proxy:\n  image: foo/proxy:1.4.0\n').toString('base64') } };
+  });
+  let ghClient = new ghUtils(context, { rest: { repos: { getContent } } });
+
+  expect(await ghClient.getDirectoryFiles('tenant1/app1/dev', 'main'))
+    .toEqual({ 'tenant1/app1/dev/images.yaml': 'proxy:\n  image: foo/proxy:1.4.0\n' });
+  expect(getContent).toHaveBeenCalledWith(expect.objectContaining({ path: 'tenant1/app1/dev/images.yaml', ref: 'main' }));
+});
+
+test('ghUtils getSubdirectories', async () => {
+  const getContent = jest.fn(async ({ path }) => {
+    if (path === 'missing') throw Object.assign(new Error('Not Found'), { status: 404 });
+    return { data: [{ type: 'file', name: 'README.md' }, { type: 'dir', name: 'tenant1' }, { type: 'dir', name: 'tenant2' }] };
+  });
+  let ghClient = new ghUtils(context, { rest: { repos: { getContent } } });
+
+  expect(await ghClient.getSubdirectories('', 'main')).toEqual(['tenant1', 'tenant2']);
+  expect(getContent).toHaveBeenCalledWith(expect.objectContaining({ path: '', ref: 'main' }));
+  expect(await ghClient.getSubdirectories('missing', 'main')).toEqual([]);
+});
+
+test('ghUtils createCommit and setBranchSha', async () => {
+  const git = {
+    createTree: jest.fn().mockResolvedValue({ data: { sha: 'tree-sha' } }),
+    createCommit: jest.fn().mockResolvedValue({ data: { sha: 'commit-sha' } }),
+    getRef: jest.fn().mockResolvedValue({ data: { object: { sha: 'old-sha' } } }),
+    updateRef: jest.fn().mockResolvedValue('updated'),
+    createRef: jest.fn().mockResolvedValue('created'),
+  }
+  let ghClient = new ghUtils(context, { rest: { git } });
+
+  expect(await ghClient.createCommit('message', 'base-sha', { 'a/images.yaml': 'content' })).toBe('commit-sha');
+  expect(git.createTree).toHaveBeenCalledWith(expect.objectContaining({
+    base_tree: 'base-sha',
+    tree: [{ path: 'a/images.yaml', mode: '100644', type: 'blob', content: 'content' }]
+  }));
+  expect(git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+    message: 'message', tree: 'tree-sha', parents: ['base-sha']
+  }));
+
+  expect(await ghClient.setBranchSha('branch', 'commit-sha', true)).toBe('updated');
+  expect(git.updateRef).toHaveBeenCalledWith(expect.objectContaining({ ref: 'heads/branch', sha: 'commit-sha', force: true }));
+});
+
+test('ghUtils compareCommits', async () => {
+  const compareCommitsWithBasehead = jest.fn().mockResolvedValue({
+    data: {
+      commits: [{ sha: 'abc', author: { login: 'human' }, commit: { author: { name: 'Human', email: 'human@example.com' } } }]
+    }
+  });
+  let ghClient = new ghUtils(context, { rest: { repos: { compareCommitsWithBasehead } } });
+
+  expect(await ghClient.compareCommits('main', 'automated/branch')).toEqual([
+    { sha: 'abc', authorName: 'Human', authorEmail: 'human@example.com', authorLogin: 'human' }
+  ]);
+  expect(compareCommitsWithBasehead).toHaveBeenCalledWith(expect.objectContaining({ basehead: 'main...automated/branch' }));
+});
+
+test('ghUtils getCheckRuns and getCommitStatuses', async () => {
+  const checkRuns = [{ id: 1, name: 'PR Verify', status: 'completed', conclusion: 'success' }]
+  const checksOctokit = {
+    rest: {
+      checks: { listForRef: jest.fn() },
+      repos: { getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [{ context: 'ci', state: 'pending' }] } }) }
+    },
+    paginate: jest.fn(async (method, inputs, mapFn) => mapFn({ data: checkRuns }))
+  }
+  let ghClient = new ghUtils(context, checksOctokit);
+
+  expect(await ghClient.getCheckRuns('automated/branch')).toEqual(checkRuns);
+  expect(checksOctokit.paginate).toHaveBeenCalledWith(
+    checksOctokit.rest.checks.listForRef, expect.objectContaining({ ref: 'automated/branch' }), expect.any(Function)
+  );
+  expect(await ghClient.getCommitStatuses('automated/branch')).toEqual([{ context: 'ci', state: 'pending' }]);
+  expect(checksOctokit.rest.repos.getCombinedStatusForRef)
+    .toHaveBeenCalledWith(expect.objectContaining({ ref: 'automated/branch' }));
+});
+
+test('ghUtils getPrApprovals', async () => {
+  const reviews = [
+    { user: { login: 'rev1' }, state: 'APPROVED' },
+    { user: { login: 'rev2' }, state: 'APPROVED' },
+    { user: { login: 'rev2' }, state: 'CHANGES_REQUESTED' },
+    { user: { login: 'rev3' }, state: 'APPROVED' },
+    { user: { login: 'rev3' }, state: 'COMMENTED' },
+  ]
+  const reviewsOctokit = {
+    rest: { pulls: { listReviews: jest.fn() } },
+    paginate: jest.fn(async (method, inputs, mapFn) => mapFn({ data: reviews }))
+  }
+  let ghClient = new ghUtils(context, reviewsOctokit);
+
+  expect(await ghClient.getPrApprovals(42)).toBe(2);
+  expect(reviewsOctokit.paginate).toHaveBeenCalledWith(
+    reviewsOctokit.rest.pulls.listReviews, expect.objectContaining({ pull_number: 42 }), expect.any(Function)
+  );
+});
+
+test('ghUtils compareRefs', async () => {
+  const compareCommitsWithBasehead = jest.fn().mockResolvedValue({
+    data: {
+      html_url: 'https://github.com/org/proxy/compare/1.4.0...1.5.0',
+      total_commits: 1,
+      commits: [{ sha: 'abc', commit: { message: 'Fix proxy timeouts\n\nLonger description' } }]
+    }
+  });
+  let ghClient = new ghUtils(context, { rest: { repos: { compareCommitsWithBasehead } } });
+
+  expect(await ghClient.compareRefs('org/proxy', '1.4.0', '1.5.0')).toEqual({
+    url: 'https://github.com/org/proxy/compare/1.4.0...1.5.0',
+    totalCommits: 1,
+    commits: [{ sha: 'abc', message: 'Fix proxy timeouts' }]
+  });
+  expect(compareCommitsWithBasehead).toHaveBeenCalledWith({ owner: 'org', repo: 'proxy', basehead: '1.4.0...1.5.0' });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const gitUtils = require('../utils/GitUtils.js');
+const PullRequestBuilder = require('../model/PullRequestBuilder.js');
+
+// Creates a bare remote with a main branch and a clone of it, both in a temp dir
+const createTempRepo = () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-utils-'));
+  const remote = path.join(root, 'remote.git');
+  const clone = path.join(root, 'clone');
+  const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+  git(root, 'init', '--bare', '--initial-branch=main', remote);
+  git(root, 'clone', remote, clone);
+  git(clone, 'config', 'user.name', 'test');
+  git(clone, 'config', 'user.email', 'test@example.com');
+  fs.mkdirSync(path.join(clone, 'tenant1/app1/dev'), { recursive: true });
+  fs.writeFileSync(path.join(clone, 'tenant1/app1/dev/images.yaml'), 'proxy:\n  image: foo/proxy:1.4.0\n');
+  git(clone, 'checkout', '-b', 'main');
+  git(clone, 'add', '.');
+  git(clone, 'commit', '-m', 'initial');
+  git(clone, 'push', 'origin', 'main');
+
+  return { root, remote, clone, git };
+}
+
+test('gitUtils fetch reports missing branches', async () => {
+  const { root, clone } = createTempRepo();
+  try {
+    const gitClient = new gitUtils({ cwd: clone, silent: true });
+    expect(await gitClient.fetch('main')).toBe(true);
+    expect(await gitClient.fetch('automated/inexistent')).toBe(false);
+    expect(gitClient.remoteRef('main')).toBe('origin/main');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('gitUtils commit only stages the given paths', async () => {
+  const { root, clone, git } = createTempRepo();
+  try {
+    const gitClient = new gitUtils({ cwd: clone, silent: true });
+    fs.writeFileSync(path.join(clone, 'tenant1/app1/dev/images.yaml'), 'proxy:\n  image: foo/proxy:1.5.0\n');
+    fs.writeFileSync(path.join(clone, 'unrelated.txt'), 'leftover');
+
+    await gitClient.commit('update image', ['tenant1/app1/dev/images.yaml']);
+
+    expect(git(clone, 'show', '--name-only', '--format=%s', 'HEAD')).toBe('update image\n\ntenant1/app1/dev/images.yaml');
+    expect(git(clone, 'status', '--porcelain')).toBe('?? unrelated.txt');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+const createBuilder = (foreignCommitsPolicy = undefined) => new PullRequestBuilder({
+  tenant: 'tenant1',
+  application: 'app1',
+  environment: 'dev',
+  serviceNameList: ['proxy'],
+  repositoryCaller: 'caller',
+}, 'main', 'none', { foreignCommitsPolicy, botAuthors: ['test@example.com'] });
+
+// Pushes a commit to the automated branch from another clone, authored by a human
+const pushForeignCommit = (root, remote, git, branch) => {
+  const other = path.join(root, 'other');
+  git(root, 'clone', '--branch', branch, remote, other);
+  fs.writeFileSync(path.join(other, 'tenant1/app1/dev/NOTES'), 'manual fix');
+  git(other, 'add', '.');
+  git(other, '-c', 'user.name=human', '-c', 'user.email=human@example.com', 'commit', '-m', 'manual fix');
+  git(other, 'push', 'origin', branch);
+  return git(other, 'rev-parse', 'HEAD');
+}
+
+// Runs the builder once so the remote automated branch exists
+const pushAutomatedBranch = async (prBuilder, gitClient, clone) => {
+  await prBuilder.createPRBranchFrom(gitClient, 'main');
+  fs.writeFileSync(path.join(clone, 'tenant1/app1/dev/images.yaml'), 'proxy:\n  image: foo/proxy:1.5.0\n');
+  await prBuilder.sedUpdatedImageFileToOrigin(gitClient, ['tenant1/app1/dev/images.yaml']);
+}
+
+test('PullRequestBuilder creates, commits and resets the branch', async () => {
+  const { root, remote, clone, git } = createTempRepo();
+  try {
+    const gitClient = new gitUtils({ cwd: clone, silent: true });
+    const prBuilder = createBuilder();
+    const branch = 'automated/update-image-tenant1-app1-dev-caller';
+
+    expect(await prBuilder.createPRBranchFrom(gitClient, 'main')).toBe(true);
+    expect(git(clone, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe(branch);
+
+    fs.writeFileSync(path.join(clone, 'tenant1/app1/dev/images.yaml'), 'proxy:\n  image: foo/proxy:1.5.0\n');
+    await prBuilder.sedUpdatedImageFileToOrigin(gitClient, ['tenant1/app1/dev/images.yaml']);
+    expect(git(remote, 'log', '--format=%s', branch)).toBe('feat: Image value updated to latest version\ninitial');
+
+    // A second run finds the remote branch and resets it to the target branch
+    expect(await prBuilder.createPRBranchFrom(gitClient, 'main')).toBe(false);
+    expect(git(clone, 'rev-parse', '--abbrev-ref', 'HEAD')).toBe(branch);
+    expect(git(clone, 'rev-parse', 'HEAD')).toBe(git(clone, 'rev-parse', 'origin/main'));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('PullRequestBuilder refuses to overwrite foreign commits', async () => {
+  const { root, remote, clone, git } = createTempRepo();
+  try {
+    const gitClient = new gitUtils({ cwd: clone, silent: true });
+    const branch = 'automated/update-image-tenant1-app1-dev-caller';
+    await pushAutomatedBranch(createBuilder(), gitClient, clone);
+    const foreignSha = pushForeignCommit(root, remote, git, branch);
+
+    await expect(createBuilder().createPRBranchFrom(gitClient, 'main'))
+      .rejects.toThrow(`Branch ${branch} has commits not made by the automation: ${foreignSha.substring(0, 7)} (human <human@example.com>)`);
+    expect(git(remote, 'rev-parse', branch)).toBe(foreignSha);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('PullRequestBuilder rebases or overwrites foreign commits', async () => {
+  const { root, remote, clone, git } = createTempRepo();
+  try {
+    const gitClient = new gitUtils({ cwd: clone, silent: true });
+    const branch = 'automated/update-image-tenant1-app1-dev-caller';
+    await pushAutomatedBranch(createBuilder(), gitClient, clone);
+    pushForeignCommit(root, remote, git, branch);
+
+    await pushAutomatedBranch(createBuilder('rebase'), gitClient, clone);
+    expect(git(remote, 'log', '--format=%s', branch))
+      .toBe('feat: Image value updated to latest version\nmanual fix\ninitial');
+
+    await pushAutomatedBranch(createBuilder('overwrite'), gitClient, clone);
+    expect(git(remote, 'log', '--format=%s', branch))
+      .toBe('feat: Image value updated to latest version\ninitial');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('PullRequestBuilder push fails if the branch moved after it was fetched', async () => {
+  const { root, remote, clone, git } = createTempRepo();
+  try {
+    const gitClient = new gitUtils({ cwd: clone, silent: true });
+    const branch = 'automated/update-image-tenant1-app1-dev-caller';
+    await pushAutomatedBranch(createBuilder(), gitClient, clone);
+
+    const prBuilder = createBuilder();
+    await prBuilder.createPRBranchFrom(gitClient, 'main');
+    const concurrentSha = pushForeignCommit(root, remote, git, branch);
+
+    fs.writeFileSync(path.join(clone, 'tenant1/app1/dev/images.yaml'), 'proxy:\n  image: foo/proxy:1.6.0\n');
+    await expect(prBuilder.sedUpdatedImageFileToOrigin(gitClient, ['tenant1/app1/dev/images.yaml']))
+      .rejects.toThrow(gitUtils.BranchLeaseError);
+    expect(git(remote, 'rev-parse', branch)).toBe(concurrentSha);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,66 @@
+const ImagePolicyUtils = require('../utils/ImagePolicyUtils');
+
+const prInputs = (newImage, tenant = 'tenant1', environment = 'dev') => ({ newImage, tenant, application: 'release1', environment });
+const digest = 'sha256:' + 'a'.repeat(64);
+
+test('validateReference', () => {
+  expect(ImagePolicyUtils.validateReference('nginx')).toEqual([]);
+  expect(ImagePolicyUtils.validateReference('foo/proxy:1.5.0')).toEqual([]);
+  expect(ImagePolicyUtils.validateReference('ghcr.io/prefapp/proxy:v1.5.0-rc.1')).toEqual([]);
+  expect(ImagePolicyUtils.validateReference(`localhost:5000/proxy:1.5.0@${digest}`)).toEqual([]);
+  expect(ImagePolicyUtils.validateReference(`registry.example.com:443/a/b/c@${digest}`)).toEqual([]);
+
+  expect(ImagePolicyUtils.validateReference('')).toEqual(['the image is empty']);
+  expect(ImagePolicyUtils.validateReference('foo/proxy :1.5.0')).toEqual(['the image has whitespaces']);
+  expect(ImagePolicyUtils.validateReference('Foo/Proxy:1.5.0'))
+    .toEqual(['invalid repository Foo/Proxy (only lowercase letters, digits and separators)']);
+  expect(ImagePolicyUtils.validateReference('foo/proxy:.1.5.0')).toEqual(['invalid tag .1.5.0']);
+  expect(ImagePolicyUtils.validateReference('foo/proxy:' + 'a'.repeat(129))).toEqual(['invalid tag ' + 'a'.repeat(129)]);
+  expect(ImagePolicyUtils.validateReference('foo/proxy@sha256:1234')).toEqual(['invalid digest sha256:1234']);
+  expect(ImagePolicyUtils.validateReference('reg_istry.io/proxy:1')).toEqual(['invalid registry reg_istry.io']);
+});
+
+test('getViolations', () => {
+  expect(ImagePolicyUtils.getViolations(prInputs('foo/proxy:latest'))).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs('Foo/proxy:1.5.0'), { disallow_latest: true }))
+    .toEqual(['invalid repository Foo/proxy (only lowercase letters, digits and separators)']);
+
+  const policies = {
+    disallow_latest: true,
+    require_digest_envs: ['pro'],
+    allowed_registries: { '*': ['ghcr.io/prefapp'], tenant2: ['docker.io/tenant2'] },
+  };
+  expect(ImagePolicyUtils.getViolations(prInputs('ghcr.io/prefapp/proxy:1.5.0'), policies)).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs(`ghcr.io/prefapp/proxy:latest@${digest}`, 'tenant1', 'pro'), policies)).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs('ghcr.io/prefapp/proxy'), policies)).toEqual(['the latest tag is not allowed']);
+  expect(ImagePolicyUtils.getViolations(prInputs('ghcr.io/prefapp/proxy:1.5.0', 'tenant1', 'pro'), policies))
+    .toEqual(['images must be pinned to a digest in pro']);
+  expect(ImagePolicyUtils.getViolations(prInputs('ghcr.io/prefapp-fork/proxy:1.5.0'), policies))
+    .toEqual(['ghcr.io/prefapp-fork/proxy is not in the allowed registries of tenant tenant1: ghcr.io/prefapp']);
+  expect(ImagePolicyUtils.getViolations(prInputs('ghcr.io/prefapp/proxy:latest', 'tenant2', 'pro'), policies)).toEqual([
+    'the latest tag is not allowed',
+    'images must be pinned to a digest in pro',
+    'ghcr.io/prefapp/proxy is not in the allowed registries of tenant tenant2: docker.io/tenant2',
+  ]);
+});
+
+test('getViolations with Docker Hub registries', () => {
+  const policies = { allowed_registries: { tenant2: ['docker.io/tenant2'], tenant3: ['tenant3', 'library'], tenant4: ['ghcr.io'] } };
+
+  expect(ImagePolicyUtils.getViolations(prInputs('tenant2/app:1.0.0', 'tenant2'), policies)).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs('docker.io/tenant2/app:1.0.0', 'tenant2'), policies)).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs('index.docker.io/tenant2/app:1.0.0', 'tenant2'), policies)).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs('tenant2-fork/app:1.0.0', 'tenant2'), policies))
+    .toEqual(['tenant2-fork/app is not in the allowed registries of tenant tenant2: docker.io/tenant2']);
+  expect(ImagePolicyUtils.getViolations(prInputs('docker.io/tenant3/app:1.0.0', 'tenant3'), policies)).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs('nginx:1.27', 'tenant3'), policies)).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs('ghcr.io/prefapp/app:1.0.0', 'tenant4'), policies)).toEqual([]);
+  expect(ImagePolicyUtils.getViolations(prInputs('prefapp/app:1.0.0', 'tenant4'), policies))
+    .toEqual(['prefapp/app is not in the allowed registries of tenant tenant4: ghcr.io']);
+});
+
+test('ImagePolicyError', () => {
+  const error = new ImagePolicyUtils.ImagePolicyError(prInputs('foo/proxy:latest'), ['the latest tag is not allowed']);
+  expect(error.message).toBe('Image foo/proxy:latest of tenant1/release1/dev is not allowed: the latest tag is not allowed');
+  expect([error.tenant, error.application, error.environment]).toEqual(['tenant1', 'release1', 'dev']);
+});
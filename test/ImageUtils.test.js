@@ -0,0 +1,106 @@
+const ImageUtils = require('../utils/ImageUtils');
+
+test('parseImageReference', () => {
+  expect(ImageUtils.parseImageReference("foo/proxy:1.4.0"))
+    .toEqual({ repository: "foo/proxy", tag: "1.4.0", digest: undefined });
+
+  expect(ImageUtils.parseImageReference("registry.local:5000/foo/proxy:1.4.0@sha256:abcd"))
+    .toEqual({ repository: "registry.local:5000/foo/proxy", tag: "1.4.0", digest: "sha256:abcd" });
+
+  expect(ImageUtils.parseImageReference("registry.local:5000/foo/proxy@sha256:abcd"))
+    .toEqual({ repository: "registry.local:5000/foo/proxy", tag: undefined, digest: "sha256:abcd" });
+});
+
+test('parsePath', () => {
+  expect(ImageUtils.parsePath("image")).toEqual(["image"]);
+  expect(ImageUtils.parsePath("image.tag")).toEqual(["image", "tag"]);
+  expect(ImageUtils.parsePath("containers[1].image")).toEqual(["containers", 1, "image"]);
+  expect(ImageUtils.parsePath("spec.containers[name=proxy].image"))
+    .toEqual(["spec", "containers", { key: "name", value: "proxy" }, "image"]);
+});
+
+test('parsePath failure', () => {
+  expect(() => ImageUtils.parsePath("")).toThrow("Invalid image path expression: ");
+  expect(() => ImageUtils.parsePath("containers[proxy].image")).toThrow("Invalid image path expression");
+  expect(() => ImageUtils.parsePath("image..tag")).toThrow("Invalid image path expression");
+});
+
+test('resolveImagePath', () => {
+  expect(ImageUtils.resolveImagePath("proxy")).toBe("image");
+  expect(ImageUtils.resolveImagePath("proxy", {}, { proxy: "a.image" })).toBe("a.image");
+  expect(ImageUtils.resolveImagePath("proxy", { proxy: "b.image" }, { proxy: "a.image" })).toBe("b.image");
+  expect(ImageUtils.resolveImagePath("proxy", { "*": "c.image" }, { proxy: "a.image" })).toBe("a.image");
+  expect(ImageUtils.resolveImagePath("dns", { "*": "c.image" }, { proxy: "a.image" })).toBe("c.image");
+});
+
+test('getImageFields', () => {
+  expect(ImageUtils.getImageFields("image", "foo/proxy:1.5.0"))
+    .toEqual([{ path: "image", value: "foo/proxy:1.5.0" }]);
+
+  expect(ImageUtils.getImageFields({ repository: "image.repository", tag: "image.tag" }, "foo/proxy:1.5.0"))
+    .toEqual([
+      { path: "image.repository", value: "foo/proxy" },
+      { path: "image.tag", value: "1.5.0" }
+    ]);
+
+  expect(() => ImageUtils.getImageFields({ digest: "image.digest" }, "foo/proxy:1.5.0"))
+    .toThrow("Image foo/proxy:1.5.0 has no digest but the digest path image.digest is configured");
+});
+
+test('getTag', () => {
+  expect(ImageUtils.getTag("image", [{ path: "image", value: "registry:5000/foo/proxy:1.4.0" }])).toBe("1.4.0");
+  expect(ImageUtils.getTag("image", [{ path: "image", value: undefined }])).toBe(undefined);
+  expect(ImageUtils.getTag({ repository: "image.repository", tag: "image.tag" }, [
+    { path: "image.repository", value: "foo/proxy" },
+    { path: "image.tag", value: "1.4.0" }
+  ])).toBe("1.4.0");
+  expect(ImageUtils.getTag({ digest: "image.digest" }, [{ path: "image.digest", value: "sha256:aaaa" }])).toBe(undefined);
+});
+
+test('parseSemver and getUpdateType', () => {
+  expect(ImageUtils.parseSemver("v1.4.0-rc.1")).toEqual({ major: 1, minor: 4, patch: 0, prerelease: "rc.1" });
+  expect(ImageUtils.parseSemver("latest")).toBe(null);
+
+  expect(ImageUtils.getUpdateType("1.4.0", "1.4.1")).toBe("patch");
+  expect(ImageUtils.getUpdateType("1.4.0", "v1.5.0")).toBe("minor");
+  expect(ImageUtils.getUpdateType("1.4.0", "2.0.0")).toBe("major");
+  expect(ImageUtils.getUpdateType("1.4.0-rc.1", "1.4.0")).toBe("prerelease");
+  expect(ImageUtils.getUpdateType("1.4.0", "1.4.0+build.2")).toBe("none");
+  expect(ImageUtils.getUpdateType("latest", "1.4.0")).toBe(undefined);
+});
+
+test('compareVersions', () => {
+  expect(ImageUtils.compareVersions("1.5.0", "1.4.0")).toBeLessThan(0);
+  expect(ImageUtils.compareVersions("1.4.0", "v1.4.1")).toBeGreaterThan(0);
+  expect(ImageUtils.compareVersions("1.4.0", "1.4.0+build.2")).toBe(0);
+  expect(ImageUtils.compareVersions("1.4.0", "1.4.0-rc.1")).toBeLessThan(0);
+  expect(ImageUtils.compareVersions("1.4.0-rc.1", "1.4.0")).toBeGreaterThan(0);
+  expect(ImageUtils.compareVersions("1.4.0-beta.11", "1.4.0-beta.2")).toBeLessThan(0);
+  expect(ImageUtils.compareVersions("1.4.0-alpha", "1.4.0-alpha.1")).toBeGreaterThan(0);
+  expect(ImageUtils.compareVersions("1.4.0-alpha.1", "1.4.0-alpha.beta")).toBeGreaterThan(0);
+
+  expect(ImageUtils.parseCalver("2024.05.01")).toEqual([2024, 5, 1]);
+  expect(ImageUtils.parseCalver("v24.05")).toEqual([24, 5]);
+  expect(ImageUtils.parseCalver("2024.13")).toBe(null);
+  expect(ImageUtils.compareVersions("2024.05.01", "2024.04.30")).toBeLessThan(0);
+  expect(ImageUtils.compareVersions("2024-05-01", "2024-05-01.1")).toBeGreaterThan(0);
+  expect(ImageUtils.compareVersions("2024.05", "2024.05.0")).toBe(0);
+
+  expect(ImageUtils.compareVersions("latest", "1.4.0")).toBe(undefined);
+  expect(ImageUtils.compareVersions("2024-05-01", "1.4.0")).toBe(undefined);
+  expect(ImageUtils.compareVersions(undefined, "1.4.0")).toBe(undefined);
+});
+
+test('readImage', () => {
+  const values = { 'image': 'foo/proxy:1.5.0', 'image.repository': 'foo/proxy', 'image.tag': 1.5, 'image.digest': 'sha256:aaaa' };
+  const getValue = path => values[path];
+
+  expect(ImageUtils.readImage('image', getValue)).toBe('foo/proxy:1.5.0');
+  expect(ImageUtils.readImage('missing', getValue)).toBe(undefined);
+  expect(ImageUtils.readImage({ repository: 'image.repository', tag: 'image.tag' }, getValue)).toBe('foo/proxy:1.5');
+  expect(ImageUtils.readImage({ repository: 'image.repository', tag: 'image.tag', digest: 'image.digest' }, getValue))
+    .toBe('foo/proxy:1.5@sha256:aaaa');
+  expect(ImageUtils.readImage({ repository: 'missing', tag: 'image.tag' }, getValue)).toBe(undefined);
+  expect(() => ImageUtils.readImage({ tag: 'image.tag' }, getValue))
+    .toThrow('Image path {"tag":"image.tag"} does not define the repository, so the full image can not be read');
+});
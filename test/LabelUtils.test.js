@@ -0,0 +1,76 @@
+const LabelUtils = require('../utils/LabelUtils');
+
+const prInputs = {
+  tenant: 'tenant1',
+  application: 'release1',
+  environment: 'dev',
+  serviceNameList: ['proxy', 'dns'],
+  customLabels: ['risk/high'],
+};
+
+test('getConfig', () => {
+  const config = LabelUtils.getConfig({ env: { color: '000000', description: 'Environment' }, delete_stale: true });
+  expect(config.env).toEqual({ prefix: 'env/', color: '000000', description: 'Environment' });
+  expect(config.tenant).toEqual({ prefix: 'tenant/', color: '234099', description: '' });
+  expect(config.custom).toEqual({ color: '7e7c7a', description: '' });
+  expect(config.delete_stale).toBe(true);
+  expect(LabelUtils.getConfig().delete_stale).toBe(false);
+});
+
+test('getLabels', () => {
+  const config = LabelUtils.getConfig({ service: { prefix: 'svc:', color: 'abcdef' } });
+  expect(LabelUtils.getLabels(prInputs, config)).toEqual([
+    { name: 'tenant/tenant1', color: '234099', description: '', managed: true },
+    { name: 'app/release1', color: 'ac1d1c', description: '', managed: true },
+    { name: 'env/dev', color: '33810b', description: '', managed: true },
+    { name: 'svc:proxy', color: 'abcdef', description: '', managed: true },
+    { name: 'svc:dns', color: 'abcdef', description: '', managed: true },
+    { name: 'risk/high', color: '7e7c7a', description: '', managed: false },
+  ]);
+});
+
+test('isAutomated', () => {
+  const config = LabelUtils.getConfig();
+  expect(LabelUtils.isAutomated('service/proxy', config)).toBe(true);
+  expect(LabelUtils.isAutomated('Env/dev', config)).toBe(true);
+  expect(LabelUtils.isAutomated('risk/high', config)).toBe(false);
+  expect(LabelUtils.isAutomated('environment', config)).toBe(false);
+});
+
+test('setPRLabels matches the labels by their exact name', async () => {
+  const ghClient = {
+    // A fuzzy search of env/dev would match env/dev2
+    getRepoLabels: jest.fn().mockResolvedValue([
+      { name: 'env/dev2', color: '33810b', description: '' },
+      { name: 'Tenant/tenant1', color: 'ffffff', description: '' },
+      { name: 'app/release1', color: 'AC1D1C', description: '' },
+      { name: 'risk/high', color: 'ff0000', description: 'Risky changes' },
+    ]),
+    createLabel: jest.fn(),
+    updateLabel: jest.fn(),
+    setPRLabels: jest.fn(),
+  };
+  const labels = LabelUtils.getLabels({ ...prInputs, serviceNameList: ['proxy'] }, LabelUtils.getConfig());
+
+  expect(await LabelUtils.setPRLabels(ghClient, 42, labels.concat(labels))).toEqual({
+    labels: ['Tenant/tenant1', 'app/release1', 'env/dev', 'service/proxy', 'risk/high'],
+    created: ['env/dev', 'service/proxy'],
+    updated: ['Tenant/tenant1'],
+  });
+  expect(ghClient.getRepoLabels).toHaveBeenCalledTimes(1);
+  expect(ghClient.createLabel.mock.calls).toEqual([['env/dev', '33810b', ''], ['service/proxy', 'f1c232', '']]);
+  expect(ghClient.updateLabel).toHaveBeenCalledWith('Tenant/tenant1', '234099', '');
+  expect(ghClient.setPRLabels).toHaveBeenCalledWith(42, ['Tenant/tenant1', 'app/release1', 'env/dev', 'service/proxy', 'risk/high']);
+});
+
+test('deleteStaleLabels', async () => {
+  const ghClient = {
+    getOpenIssueLabels: jest.fn().mockResolvedValue(['tenant/tenant1', 'Env/Dev', 'bug']),
+    getRepoLabels: jest.fn().mockResolvedValue(['tenant/tenant1', 'tenant/tenant2', 'env/dev', 'service/dns', 'bug', 'risk/high']
+      .map(name => ({ name, color: '7e7c7a', description: '' }))),
+    deleteLabel: jest.fn(),
+  };
+
+  expect(await LabelUtils.deleteStaleLabels(ghClient, LabelUtils.getConfig())).toEqual(['tenant/tenant2', 'service/dns']);
+  expect(ghClient.deleteLabel.mock.calls).toEqual([['tenant/tenant2'], ['service/dns']]);
+});
@@ -0,0 +1,43 @@
+const PromotionUtils = require('../utils/PromotionUtils');
+const { yamlUtils } = require('../utils/YamlUtils');
+
+const entry = {
+  tenant: 'tenant4',
+  app: 'release1',
+  env: 'pro',
+  promote_from: 'pre',
+  base_folder: 'fixtures',
+  reviewers: ['rev1'],
+  repository_caller: 'caller'
+};
+
+test('getDifferences', () => {
+  expect(PromotionUtils.getDifferences(entry, yamlUtils)).toEqual([
+    { service: 'proxy', oldImage: 'foo/proxy:1.4.0', newImage: 'foo/proxy:1.5.0' },
+    { service: 'dns', oldImage: 'foo/dns:1.9.0', newImage: 'foo/dns:2.0.0' },
+    { service: 'cron', oldImage: 'foo/dns:1.9.0', newImage: 'foo/dns:2.0.0' },
+  ]);
+  expect(PromotionUtils.getDifferences({ ...entry, service_name_list: ['worker', 'debug'] }, yamlUtils)).toEqual([
+    { service: 'debug', oldImage: undefined, newImage: 'foo/debug:0.1.0' },
+  ]);
+  expect(() => PromotionUtils.getDifferences({ ...entry, service_name_list: ['inexistent'] }, yamlUtils))
+    .toThrow('Service inexistent has no image in tenant4/release1/pre');
+});
+
+test('expandEntries', async () => {
+  const regular = { tenant: 'tenant1', app: 'release1', env: 'dev', service_name_list: ['proxy'], image: 'foo/proxy:1.5.0', reviewers: [] };
+  const gitClient = { workDir: '', checkoutPaths: jest.fn() };
+
+  const { entries, promotions } = await PromotionUtils.expandEntries([regular, entry], yamlUtils, gitClient, 'main');
+  expect(gitClient.checkoutPaths).toHaveBeenCalledWith('main', ['fixtures/tenant4/release1/pre', 'fixtures/tenant4/release1/pro']);
+  expect(entries).toEqual([
+    regular,
+    { ...entry, image: 'foo/proxy:1.5.0', service_name_list: ['proxy'] },
+    { ...entry, image: 'foo/dns:2.0.0', service_name_list: ['dns', 'cron'] },
+  ]);
+  expect(promotions.map(promotion => [promotion.entry, promotion.differences.length])).toEqual([[entry, 3]]);
+
+  const upToDate = await PromotionUtils.expandEntries([{ ...entry, service_name_list: ['worker'] }], yamlUtils, gitClient, 'main');
+  expect(upToDate.entries).toEqual([]);
+  expect(upToDate.promotions[0].differences).toEqual([]);
+});
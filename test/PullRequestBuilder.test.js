@@ -1,4 +1,6 @@
 const PullRequestBuilder = require('../model/PullRequestBuilder.js')
+const { yamlUtils } = require('../utils/YamlUtils.js')
+const LabelUtils = require('../utils/LabelUtils.js')
 
 test('Test constructor', async () => {
   const prInputs = {
@@ -11,16 +13,659 @@ test('Test constructor', async () => {
     reviewers: 'reviewers',
     repositoryCaller: 'repositoryCaller'
   }
-  expect(new PullRequestBuilder(prInputs, 'master'))
+  expect(new PullRequestBuilder(prInputs, 'master', 'none', { checkNames: ['PR Verify'], closedPrPolicy: 'skip' }))
     .toEqual({
-      "application": "application",
       "branchName": "automated/update-image-tenant-application-environment-repositoryCaller",
-      "baseFolder": "basefolder",
-      "environment": "environment",
-      "newImage": "newImage",
-      "reviewers": "reviewers",
-      "serviceNameList": ["service"],
+      "groupBy": "none",
+      "prInputsList": [prInputs],
+      "reviewers": ["reviewers"],
+      "rejectedResults": [],
+      "rootFolder": "",
       "sourceBranch": "master",
-      "tenant": "tenant",
+      "checkNames": ["PR Verify"],
+      "templates": {},
+      "changelog": {},
+      "imagePolicies": {},
+      "codeownersReviewers": false,
+      "labelsConfig": LabelUtils.getConfig(),
+      "closedPrPolicy": "skip",
     });
 });
+
+const coordinate = (tenant, application, environment, serviceNameList, reviewers = []) => ({
+  tenant,
+  baseFolder: 'fixtures',
+  application,
+  environment,
+  serviceNameList,
+  newImage: 'foo/proxy:1.5.0',
+  reviewers,
+  repositoryCaller: 'caller'
+})
+
+test('groupInputs and branch names', () => {
+  const prInputsList = [
+    coordinate('tenant1', 'release1', 'dev', ['proxy']),
+    coordinate('tenant1', 'release2', 'dev', ['proxy']),
+    coordinate('tenant2', 'releaseA', 'dev', ['proxy']),
+    coordinate('tenant1', 'release1', 'pre', ['proxy']),
+  ]
+
+  expect(PullRequestBuilder.groupInputs(prInputsList, 'none')).toHaveLength(4);
+  expect(PullRequestBuilder.groupInputs(prInputsList, 'tenant'))
+    .toEqual([[prInputsList[0], prInputsList[1], prInputsList[3]], [prInputsList[2]]]);
+  expect(PullRequestBuilder.groupInputs(prInputsList, 'app'))
+    .toEqual([[prInputsList[0], prInputsList[3]], [prInputsList[1]], [prInputsList[2]]]);
+  expect(PullRequestBuilder.groupInputs(prInputsList, 'env'))
+    .toEqual([[prInputsList[0], prInputsList[1], prInputsList[2]], [prInputsList[3]]]);
+  expect(PullRequestBuilder.groupInputs(prInputsList, 'all')).toEqual([prInputsList]);
+  expect(() => PullRequestBuilder.groupInputs(prInputsList, 'service'))
+    .toThrow('Invalid group_by value service, allowed values: none, tenant, app, env, all');
+
+  expect(PullRequestBuilder.getBranchName(prInputsList[0])).toBe('automated/update-image-tenant1-release1-dev-caller');
+  expect(PullRequestBuilder.getBranchName(prInputsList[0], 'tenant')).toBe('automated/update-image-tenant-tenant1-caller');
+  expect(PullRequestBuilder.getBranchName(prInputsList[0], 'app')).toBe('automated/update-image-app-tenant1-release1-caller');
+  expect(PullRequestBuilder.getBranchName(prInputsList[0], 'env')).toBe('automated/update-image-env-dev-caller');
+  expect(PullRequestBuilder.getBranchName(prInputsList[0], 'all')).toBe('automated/update-image-all-caller');
+});
+
+test('grouped PR labels, reviewers, title and body', () => {
+  const prInputsList = [
+    coordinate('tenant1', 'release1', 'dev', ['proxy', 'dns'], ['rev1']),
+    coordinate('tenant1', 'release2', 'dev', ['proxy'], ['rev1', 'rev2']),
+  ]
+  const prBuilder = new PullRequestBuilder(prInputsList, 'master', 'tenant')
+
+  expect(prBuilder.reviewers).toEqual(['rev1', 'rev2']);
+  expect(prBuilder.getPRLabels()).toEqual([
+    'tenant/tenant1', 'app/release1', 'env/dev', 'service/proxy', 'service/dns', 'app/release2'
+  ]);
+
+  const ghClient = { getActionUrl: () => 'https://run' }
+  const { prTitle, prBody } = prBuilder.getPrTitleAndBody(ghClient, 0, [
+    { prInputs: prInputsList[0], oldImagesList: { proxy: 'foo/proxy:1.4.0' }, newImagesList: { proxy: 'foo/proxy:1.5.0' } },
+    { prInputs: prInputsList[1], oldImagesList: { proxy: 'foo/proxy:1.3.0' }, newImagesList: { proxy: 'foo/proxy:1.5.0' } },
+  ])
+  expect(prTitle).toBe('📦 Service image update `foo/proxy:1.5.0` in 2 environments');
+  expect(prBody).toContain('| tenant1 | release1 | dev | `proxy` | `foo/proxy:1.4.0` | `foo/proxy:1.5.0` |');
+  expect(prBody).toContain('| tenant1 | release2 | dev | `proxy` | `foo/proxy:1.3.0` | `foo/proxy:1.5.0` |');
+});
+
+test('describeChanges counts the coordinates of a promotion once', () => {
+  const proxy = { ...coordinate('tenant1', 'release1', 'pro', ['proxy']), newImage: 'foo/proxy:1.5.0' }
+  const dns = { ...coordinate('tenant1', 'release1', 'pro', ['dns']), newImage: 'foo/dns:2.0.0' }
+  const promotion = [
+    { prInputs: proxy, oldImagesList: { proxy: 'foo/proxy:1.4.0' }, newImagesList: { proxy: 'foo/proxy:1.5.0' } },
+    { prInputs: dns, oldImagesList: { dns: 'foo/dns:1.0.0' }, newImagesList: { dns: 'foo/dns:2.0.0' } },
+  ]
+  const dev = { ...coordinate('tenant1', 'release1', 'dev', ['dns']), newImage: 'foo/dns:2.0.0' }
+
+  expect(PullRequestBuilder.describeChanges(promotion).prTitle).toBe('📦 Service image updates in tenant1/release1/pro')
+  expect(PullRequestBuilder.describeChanges(promotion.concat({
+    prInputs: dev, oldImagesList: { dns: 'foo/dns:1.0.0' }, newImagesList: { dns: 'foo/dns:2.0.0' }
+  })).prTitle).toBe('📦 Service image updates in 2 environments')
+});
+
+test('single coordinate PR title and body', () => {
+  const prInputs = coordinate('tenant1', 'release1', 'dev', ['proxy'])
+  const prBuilder = new PullRequestBuilder(prInputs, 'master')
+
+  const ghClient = { getActionUrl: () => 'https://run' }
+  const { prTitle, prBody } = prBuilder.getPrTitleAndBody(ghClient, 0, [
+    { prInputs, oldImagesList: { proxy: 'foo/proxy:1.4.0' }, newImagesList: { proxy: 'foo/proxy:1.5.0' } },
+  ])
+  expect(prTitle).toBe('📦 Service image update `foo/proxy:1.5.0`');
+  expect(prBody).toBe(
+    '🤖 Automated PR created in [this](https://run) workflow execution \n\n' +
+    'Images updated for the following services:\n- `proxy`: `foo/proxy:1.4.0`\n\nTo:\n- `proxy`: `foo/proxy:1.5.0`\n'
+  );
+});
+
+test('planPRUpdatingImage does not modify the images file', async () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant1/release1/dev/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  const prInputs = {
+    tenant: 'tenant1',
+    baseFolder: 'fixtures',
+    application: 'release1',
+    environment: 'dev',
+    serviceNameList: ['proxy', 'dns', 'inexistent'],
+    newImage: 'foo/dns:bar',
+    repositoryCaller: 'repositoryCaller'
+  }
+  const ghClient = {
+    getBranchPRs: jest.fn().mockResolvedValue([{ number: 7, state: 'open', merged: false }]),
+    getPrApprovals: jest.fn().mockResolvedValue(0)
+  }
+  const plan = await new PullRequestBuilder(prInputs, 'master').planPRUpdatingImage(ghClient, yamlUtils)
+
+  expect(fs.readFileSync(fileName, 'utf8')).toBe(original);
+  expect(ghClient.getBranchPRs).toHaveBeenCalledWith("automated/update-image-tenant1-release1-dev-repositoryCaller");
+  expect(plan).toEqual({
+    branch: 'automated/update-image-tenant1-release1-dev-repositoryCaller',
+    coordinates: [{
+      tenant: 'tenant1',
+      app: 'release1',
+      env: 'dev',
+      image: 'foo/dns:bar',
+      imagePolicyViolations: [],
+      services: [
+        { service: 'proxy', status: 'update', oldValue: 'foo/proxy:dev', newValue: 'foo/dns:bar', oldTag: 'dev', downgrade: false },
+        { service: 'dns', status: 'unchanged' },
+        { service: 'inexistent', status: 'error', error: 'Error: no service inexistent found in file fixtures/tenant1/release1/dev/images.yaml' }
+      ]
+    }],
+    prNumber: 7,
+    closedPrNumber: 0,
+    prAction: 'error',
+    autoMerge: true,
+    autoMergeReasons: []
+  });
+});
+
+test('getResults', () => {
+  const prInputsList = [
+    coordinate('tenant1', 'release1', 'dev', ['proxy', 'dns']),
+    coordinate('tenant1', 'release2', 'dev', ['proxy']),
+  ]
+  const prBuilder = new PullRequestBuilder(prInputsList, 'master', 'tenant')
+  const ghClient = { getPrUrl: prNumber => `https://pr/${prNumber}` }
+
+  const changes = [
+    { prInputs: prInputsList[0], oldImagesList: { proxy: 'foo/proxy:1.4.0' }, newImagesList: { proxy: 'foo/proxy:1.5.0' } },
+  ]
+  const labels = ['tenant/tenant1']
+  const results = prBuilder.getResults(ghClient, 'created', { changes, prNumber: 42, labels, reviewers: ['rev1'], checks: 'failed' })
+  expect(results).toEqual([
+    {
+      tenant: 'tenant1', app: 'release1', env: 'dev',
+      branch: 'automated/update-image-tenant-tenant1-caller',
+      prNumber: 42, prUrl: 'https://pr/42', status: 'created',
+      images: { proxy: { old: 'foo/proxy:1.4.0', new: 'foo/proxy:1.5.0' } },
+      labels, reviewers: ['rev1'], autoMerge: false, autoMergeEnabled: false, checks: 'failed', downgrades: []
+    },
+    {
+      tenant: 'tenant1', app: 'release2', env: 'dev',
+      branch: 'automated/update-image-tenant-tenant1-caller',
+      prNumber: 42, prUrl: 'https://pr/42', status: 'skipped',
+      images: {},
+      labels, reviewers: ['rev1'], autoMerge: false, autoMergeEnabled: false, checks: 'failed', downgrades: []
+    },
+  ]);
+
+  const failed = prBuilder.getResults(ghClient, 'failed', { error: new Error('Unable to commit file!') })
+  expect(failed.map(result => [result.status, result.prUrl, result.error]))
+    .toEqual([['failed', '', 'Unable to commit file!'], ['failed', '', 'Unable to commit file!']]);
+});
+
+test('getResults of a failed service', () => {
+  const prInputsList = [
+    coordinate('tenant1', 'release1', 'dev', ['proxy']),
+    coordinate('tenant1', 'release2', 'dev', ['inexistent']),
+  ]
+  const prBuilder = new PullRequestBuilder(prInputsList, 'master', 'tenant')
+  const error = new PullRequestBuilder.ServiceUpdateError(prInputsList[1], 'inexistent', new Error('no service inexistent'))
+
+  const results = prBuilder.getResults({}, 'failed', { error })
+  expect(results.map(result => [result.status, result.service, result.error])).toEqual([
+    ['failed', undefined, 'no service inexistent'],
+    ['failed', 'inexistent', 'no service inexistent'],
+  ]);
+});
+
+describe('tryToMerge', () => {
+  const allowAutoMerge = allowed => ({
+    loadAutoMergeRules: jest.fn(() => allowed ? {} : null),
+    loadRequiredChecks: jest.fn(() => null),
+    loadMergeOptions: jest.fn(() => ({}))
+  })
+  const mergeClient = () => ({
+    enablePrAutoMerge: jest.fn().mockResolvedValue({}),
+    mergePr: jest.fn().mockResolvedValue({}),
+    deleteBranch: jest.fn().mockResolvedValue({}),
+    getActionUrl: () => 'https://run'
+  })
+  const mergeArguments = { mergeMethod: 'squash', commitTitle: undefined, commitMessage: undefined, sha: 'head-sha' }
+  const createBuilder = (autoMergeMode) => {
+    const prBuilder = new PullRequestBuilder(
+      coordinate('tenant1', 'release1', 'dev', ['proxy']), 'master', 'none', { autoMergeMode, mergeOptions: { method: 'squash', deleteBranch: true } }
+    )
+    prBuilder.headSha = 'head-sha'
+    prBuilder.canMerge = jest.fn().mockResolvedValue(true)
+    return prBuilder
+  }
+
+  test('does not wait for the checks without auto-merge', async () => {
+    const prBuilder = createBuilder('native')
+    const ghClient = mergeClient()
+    expect(await prBuilder.tryToMerge(ghClient, allowAutoMerge(false), 42))
+      .toEqual({ autoMerge: false, checks: 'skipped', merged: false, autoMergeEnabled: false })
+    expect(prBuilder.canMerge).not.toHaveBeenCalled()
+    expect(ghClient.enablePrAutoMerge).not.toHaveBeenCalled()
+  })
+
+  test('enables native auto-merge without polling', async () => {
+    const prBuilder = createBuilder('native')
+    const ghClient = mergeClient()
+    expect(await prBuilder.tryToMerge(ghClient, allowAutoMerge(true), 42))
+      .toEqual({ autoMerge: true, checks: 'pending', merged: false, autoMergeEnabled: true })
+    expect(ghClient.enablePrAutoMerge).toHaveBeenCalledWith(42, mergeArguments)
+    expect(prBuilder.canMerge).not.toHaveBeenCalled()
+    expect(ghClient.mergePr).not.toHaveBeenCalled()
+  })
+
+  test('polls the checks when the AUTO_MERGE rules depend on the time of the merge', async () => {
+    const prBuilder = createBuilder('native')
+    const ghClient = mergeClient()
+    const yamlUtils = { ...allowAutoMerge(true), loadAutoMergeRules: jest.fn(() => ({ time_windows: [{ days: ['mon'] }] })) }
+    expect(await prBuilder.tryToMerge(ghClient, yamlUtils, 42, { autoMergeDecision: { autoMerge: true } }))
+      .toEqual({ autoMerge: true, checks: 'passed', merged: true, autoMergeEnabled: false })
+    expect(ghClient.enablePrAutoMerge).not.toHaveBeenCalled()
+    expect(prBuilder.canMerge).toHaveBeenCalled()
+    expect(prBuilder.getNativeUnsupportedRules(yamlUtils)).toEqual(['tenant1/release1/dev: time_windows'])
+  })
+
+  test('polls the checks when native auto-merge can not be enabled', async () => {
+    const prBuilder = createBuilder('native')
+    const ghClient = mergeClient()
+    ghClient.enablePrAutoMerge.mockRejectedValue(new Error('Auto merge is not allowed for this repository'))
+    expect(await prBuilder.tryToMerge(ghClient, allowAutoMerge(true), 42))
+      .toEqual({ autoMerge: true, checks: 'passed', merged: true, autoMergeEnabled: false })
+    expect(ghClient.mergePr).toHaveBeenCalledWith(42, mergeArguments)
+    expect(ghClient.deleteBranch).toHaveBeenCalledWith('automated/update-image-tenant1-release1-dev-caller')
+  })
+
+  test('polls the checks by default', async () => {
+    const prBuilder = createBuilder('poll')
+    const ghClient = mergeClient()
+    prBuilder.canMerge.mockResolvedValue(false)
+    expect(await prBuilder.tryToMerge(ghClient, allowAutoMerge(true), 42))
+      .toEqual({ autoMerge: true, checks: 'failed', merged: false, autoMergeEnabled: false })
+    expect(ghClient.enablePrAutoMerge).not.toHaveBeenCalled()
+    expect(ghClient.mergePr).not.toHaveBeenCalled()
+  })
+
+  test('does not merge with invalid merge options', async () => {
+    const prBuilder = createBuilder('poll')
+    const ghClient = mergeClient()
+    const yamlUtils = allowAutoMerge(true)
+    yamlUtils.loadMergeOptions.mockReturnValue({ method: 'fast-forward' })
+    expect(await prBuilder.tryToMerge(ghClient, yamlUtils, 42))
+      .toEqual({ autoMerge: true, checks: 'skipped', merged: false, autoMergeEnabled: false })
+    expect(prBuilder.canMerge).not.toHaveBeenCalled()
+  })
+})
+
+test('getMergeOptions', () => {
+  const mergeOptions = { method: 'merge', commitTitle: 'Update {{ images }}', deleteBranch: true }
+  const dev = coordinate('tenant3', 'release1', 'dev', ['proxy'])
+  const pre = coordinate('tenant3', 'release1', 'pre', ['proxy'])
+  const pro = coordinate('tenant1', 'release1', 'pro', ['proxy'])
+
+  expect(new PullRequestBuilder(pro, 'master', 'none', { mergeOptions }).getMergeOptions(yamlUtils)).toEqual(mergeOptions)
+  expect(new PullRequestBuilder([dev, pro], 'master', 'tenant', { mergeOptions }).getMergeOptions(yamlUtils)).toEqual({
+    method: 'squash',
+    commitTitle: 'chore: update {{ images }} in {{ coordinates }} (#{{ pr_number }})',
+    deleteBranch: true
+  })
+  expect(() => new PullRequestBuilder([dev, pre], 'master', 'tenant', { mergeOptions }).getMergeOptions(yamlUtils))
+    .toThrow('The environments of branch automated/update-image-tenant-tenant3-caller declare different merge method values: squash, rebase')
+})
+
+test('getMergeArguments', () => {
+  const prInputs = coordinate('tenant1', 'release1', 'dev', ['proxy', 'dns'])
+  const prBuilder = new PullRequestBuilder(prInputs, 'master')
+  prBuilder.headSha = 'head-sha'
+  const changes = [{ prInputs, oldImagesList: { proxy: 'foo/proxy:1.4.0' }, newImagesList: { proxy: 'foo/proxy:1.5.0' } }]
+  const ghClient = { getActionUrl: () => 'https://run' }
+
+  expect(prBuilder.getMergeArguments(
+    ghClient,
+    { method: 'squash', commitTitle: '{{ pr_title }} (#{{ pr_number }})', commitMessage: '{{ services }} in {{ coordinates }}' },
+    42, 'Update proxy', changes
+  )).toEqual({
+    mergeMethod: 'squash',
+    commitTitle: 'Update proxy (#42)',
+    commitMessage: 'proxy in tenant1/release1/dev',
+    sha: 'head-sha'
+  })
+  expect(() => prBuilder.getMergeArguments(ghClient, { method: 'merge', commitTitle: '{{ tag }}' }, 42, '', changes))
+    .toThrow('Unknown template variable tag')
+})
+
+test('getRequiredChecks', () => {
+  const prInputsList = [
+    coordinate('tenant3', 'release1', 'dev', ['proxy']),
+    coordinate('tenant1', 'release1', 'dev', ['proxy']),
+  ]
+  const prBuilder = new PullRequestBuilder(prInputsList, 'master', 'all', { checkNames: ['PR Verify', 'lint'] })
+  expect(prBuilder.getRequiredChecks(yamlUtils)).toEqual(['PR Verify', 'security/scan', 'lint'])
+})
+
+describe('canMerge', () => {
+  const createBuilder = () => {
+    const prBuilder = new PullRequestBuilder(coordinate('tenant1', 'release1', 'dev', ['proxy']), 'master', 'none', { checkNames: ['PR Verify'] })
+    prBuilder.timeout = 1000
+    prBuilder.retryInterval = 1
+    return prBuilder
+  }
+  const checksClient = (checkRuns, statuses = []) => ({
+    getCheckRuns: jest.fn().mockResolvedValue(checkRuns),
+    getCommitStatuses: jest.fn().mockResolvedValue(statuses)
+  })
+
+  test('passes with check runs and commit statuses', async () => {
+    const client = checksClient(
+      [{ id: 1, name: 'PR Verify', status: 'completed', conclusion: 'success' }],
+      [{ context: 'security/scan', state: 'success' }]
+    )
+    expect(await createBuilder().canMerge(client, ['PR Verify', 'security/scan'])).toBe(true)
+    expect(client.getCheckRuns).toHaveBeenCalledWith('automated/update-image-tenant1-release1-dev-caller')
+  })
+
+  test('fails as soon as a check is cancelled', async () => {
+    const client = checksClient([{ id: 1, name: 'PR Verify', status: 'completed', conclusion: 'cancelled' }])
+    expect(await createBuilder().canMerge(client)).toBe(false)
+    expect(client.getCheckRuns).toHaveBeenCalledTimes(1)
+  })
+
+  test('times out while a check is missing', async () => {
+    const prBuilder = createBuilder()
+    prBuilder.timeout = 20
+    const client = checksClient([{ id: 1, name: 'lint', status: 'completed', conclusion: 'success' }])
+    await expect(prBuilder.canMerge(client)).rejects.toThrow('Timed out waiting for checks to complete')
+  })
+})
+
+test('getAutoMergeDecision with AUTO_MERGE rules', () => {
+  const dev = coordinate('tenant3', 'release1', 'dev', ['proxy'])
+  const pro = coordinate('tenant1', 'release1', 'pro', ['proxy'])
+  const prBuilder = new PullRequestBuilder([dev, pro], 'master', 'tenant')
+  const changes = [{ prInputs: dev, oldImagesList: { proxy: 'foo/proxy:1.4.0' }, oldTagsList: { proxy: '1.4.0' } }]
+  // Friday evening in Europe/Madrid
+  const now = new Date('2024-05-10T18:30:00Z')
+
+  const decision = prBuilder.getAutoMergeDecision(yamlUtils, { changes, now })
+  expect(decision).toEqual({
+    autoMerge: false,
+    reasons: [
+      'tenant3/release1/dev: fri 20:30 (Europe/Madrid) is outside the allowed time windows',
+      'tenant3/release1/dev: 1.4.0 -> 1.5.0 of service proxy is a minor update, allowed updates: patch',
+      'tenant1/release1/pro: there is no AUTO_MERGE marker',
+    ]
+  })
+
+  const { prBody } = prBuilder.getPrTitleAndBody({ getActionUrl: () => 'https://run' }, 0, changes.map(change => ({
+    ...change, newImagesList: { proxy: 'foo/proxy:1.5.0' }
+  })), { autoMergeDecision: decision })
+  expect(prBody).toContain('### Auto-merge\n⛔ This PR will not be auto-merged:\n- tenant3/release1/dev: fri 20:30')
+  expect(prBody).toContain('- tenant1/release1/pro: there is no AUTO_MERGE marker\n')
+
+  const patch = [{ prInputs: dev, oldImagesList: { proxy: 'foo/proxy:1.5.0-rc1' }, oldTagsList: { proxy: '1.4.9' } }]
+  expect(new PullRequestBuilder(dev, 'master').getAutoMergeDecision(yamlUtils, {
+    changes: patch, now: new Date('2024-05-10T08:30:00Z')
+  })).toEqual({ autoMerge: false, reasons: ['tenant3/release1/dev: 1.4.9 -> 1.5.0 of service proxy is a minor update, allowed updates: patch'] })
+  expect(PullRequestBuilder.describeAutoMergeDecision({ autoMerge: true, reasons: [] })).toContain('✅ Every environment allows auto-merge')
+})
+
+test('templated PR title, body and commit message', () => {
+  const prInputs = coordinate('tenant1', 'release1', 'dev', ['proxy'])
+  const templates = {
+    prTitle: 'chore({{ app }}): update {{ services }} to {{ images }} in {{ env }}',
+    prBody: 'Requested by {{ repository_caller }} in {{ run_url }}\n\n{{ changes }}{{ auto_merge }}',
+    commitMessage: 'chore({{ tenant }}/{{ app }}): {{ old_images }} -> {{ new_images }}'
+  }
+  const prBuilder = new PullRequestBuilder(prInputs, 'master', 'none', { templates })
+  const ghClient = { getActionUrl: () => 'https://run' }
+  const changes = [{ prInputs, oldImagesList: { proxy: 'foo/proxy:1.4.0' }, newImagesList: { proxy: 'foo/proxy:1.5.0' } }]
+
+  expect(prBuilder.getCommitMessage(ghClient, changes)).toBe('chore(tenant1/release1): foo/proxy:1.4.0 -> foo/proxy:1.5.0')
+  const { prTitle, prBody } = prBuilder.getPrTitleAndBody(ghClient, 0, changes, { autoMergeDecision: { autoMerge: false, reasons: ['frozen'] } })
+  expect(prTitle).toBe('chore(release1): update proxy to foo/proxy:1.5.0 in dev')
+  expect(prBody).toBe(
+    'Requested by caller in https://run\n\n' +
+    'Images updated for the following services:\n- `proxy`: `foo/proxy:1.4.0`\n\nTo:\n- `proxy`: `foo/proxy:1.5.0`\n' +
+    '\n### Auto-merge\n⛔ This PR will not be auto-merged:\n- frozen\n'
+  )
+
+  expect(new PullRequestBuilder(coordinate('tenant1', 'release1', 'dev', ['proxy']), 'master').getCommitMessage(ghClient, changes))
+    .toBe('feat: Image value updated to latest version')
+})
+
+test('getChangelog', async () => {
+  const prInputs = coordinate('tenant1', 'release1', 'dev', ['proxy', 'dns'])
+  const options = { changelog: { enabled: true, sourceRepositories: { 'foo/proxy': 'org/proxy' } } }
+  const ghClient = {
+    repoOwner: 'owner',
+    getActionUrl: () => 'https://run',
+    compareRefs: jest.fn().mockResolvedValue({ url: 'https://compare', totalCommits: 1, commits: [{ sha: 'abcdef123', message: 'Fix' }] })
+  }
+  const changes = [{
+    prInputs,
+    oldImagesList: { proxy: 'foo/proxy:1.4.0', dns: 'foo/proxy:1.4.0' },
+    newImagesList: { proxy: 'foo/proxy:1.5.0', dns: 'foo/proxy:1.5.0' },
+    oldTagsList: { proxy: '1.4.0', dns: '1.4.0' }
+  }]
+
+  const changelog = await new PullRequestBuilder(prInputs, 'master', 'none', options).getChangelog(ghClient, changes)
+  expect(changelog).toBe('\n### Changelog\n**foo/proxy** `1.4.0` → `1.5.0` ([compare](https://compare))\n- abcdef1 Fix\n')
+  expect(ghClient.compareRefs).toHaveBeenCalledTimes(1)
+  expect(ghClient.compareRefs).toHaveBeenCalledWith('org/proxy', '1.4.0', '1.5.0')
+
+  const { prBody } = new PullRequestBuilder(prInputs, 'master', 'none', options).getPrTitleAndBody(ghClient, 0, changes, { changelog })
+  expect(prBody).toContain('`dns`: `foo/proxy:1.5.0`\n\n### Changelog\n')
+
+  const disabled = new PullRequestBuilder(coordinate('tenant1', 'release1', 'dev', ['proxy']), 'master')
+  expect(await disabled.getChangelog(ghClient, changes)).toBe('')
+})
+
+describe('image policies', () => {
+  const imagePolicies = { disallow_latest: true, require_digest_envs: ['pro'], verify_tag: true }
+  const prInputsList = [
+    { ...coordinate('tenant1', 'release1', 'dev', ['proxy']), newImage: 'foo/proxy:1.5.0' },
+    { ...coordinate('tenant1', 'release1', 'pro', ['proxy']), newImage: 'foo/proxy:latest' },
+  ]
+
+  test('getImagePolicyViolations', async () => {
+    const registryClient = { manifestExists: jest.fn().mockResolvedValue(false) }
+    const violations = await new PullRequestBuilder(prInputsList, 'master', 'app', { imagePolicies }).getImagePolicyViolations(registryClient)
+
+    expect(violations.map(({ violations }) => violations)).toEqual([
+      ['foo/proxy:1.5.0 was not found in its registry'],
+      ['the latest tag is not allowed', 'images must be pinned to a digest in pro'],
+    ])
+    // Images that already violate a policy are not looked up in the registry
+    expect(registryClient.manifestExists).toHaveBeenCalledTimes(1)
+
+    registryClient.manifestExists.mockRejectedValue(new Error('Unexpected response 500'))
+    expect((await new PullRequestBuilder(prInputsList[0], 'master', 'none', { imagePolicies }).getImagePolicyViolations(registryClient))[0].violations)
+      .toEqual(['unable to verify foo/proxy:1.5.0 in its registry: Unexpected response 500'])
+    expect((await new PullRequestBuilder(prInputsList[0], 'master', 'none', { imagePolicies }).getImagePolicyViolations())[0].violations).toEqual([])
+  })
+
+  test('openPRUpdatingImage leaves the coordinates with a not allowed image out of the PR', async () => {
+    const core = { info: jest.fn() }
+    const gitClient = {
+      workDir: '',
+      stash: jest.fn(), checkout: jest.fn(), resetHard: jest.fn(), checkoutPaths: jest.fn(),
+      remoteRef: branch => `origin/${branch}`,
+      fetch: jest.fn().mockResolvedValue(false),
+    }
+    const registryClient = { manifestExists: jest.fn().mockResolvedValue(true) }
+    // The dev image is already in its images.yaml, so that coordinate has nothing to update
+    const dev = { ...coordinate('tenant1', 'release1', 'dev', ['proxy'], ['rev1']), newImage: 'foo/proxy:dev' }
+    const pro = { ...prInputsList[1], reviewers: ['rev2'] }
+    const prBuilder = new PullRequestBuilder([dev, pro], 'master', 'app', { imagePolicies })
+
+    const results = await prBuilder.openPRUpdatingImage({}, yamlUtils, core, gitClient, registryClient)
+    expect(results.map(({ env, status, error }) => ({ env, status, error }))).toEqual([
+      {
+        env: 'pro', status: 'failed', error: 'Image foo/proxy:latest of tenant1/release1/pro is not allowed: ' +
+          'the latest tag is not allowed, images must be pinned to a digest in pro'
+      },
+      { env: 'dev', status: 'skipped', error: undefined },
+    ])
+    expect(prBuilder.prInputsList).toEqual([dev])
+    expect(prBuilder.reviewers).toEqual(['rev1'])
+    expect(gitClient.checkout).toHaveBeenCalled()
+  })
+
+  test('openPRUpdatingImage does not touch the branch when every image is not allowed', async () => {
+    const core = { info: jest.fn() }
+    const gitClient = { stash: jest.fn(), checkout: jest.fn() }
+    const prBuilder = new PullRequestBuilder(prInputsList[1], 'master', 'app', { imagePolicies })
+
+    const results = await prBuilder.openPRUpdatingImage({}, yamlUtils, core, gitClient)
+    expect(results.map(({ env, status }) => ({ env, status }))).toEqual([{ env: 'pro', status: 'failed' }])
+    expect(gitClient.stash).not.toHaveBeenCalled()
+    expect(gitClient.checkout).not.toHaveBeenCalled()
+  })
+
+  test('planPRUpdatingImage leaves the coordinates with a not allowed image out of the PR', async () => {
+    const ghClient = { getBranchPRs: jest.fn().mockResolvedValue([]) }
+    const dev = { ...coordinate('tenant1', 'release1', 'dev', ['proxy']), newImage: 'foo/proxy:dev' }
+
+    expect(await new PullRequestBuilder([dev, prInputsList[1]], 'master', 'app', { imagePolicies }).planPRUpdatingImage(ghClient, yamlUtils))
+      .toMatchObject({ prAction: 'skip' })
+    expect(await new PullRequestBuilder(prInputsList[1], 'master', 'app', { imagePolicies }).planPRUpdatingImage(ghClient, yamlUtils))
+      .toMatchObject({ prAction: 'error' })
+  })
+})
+
+test('openPRUpdatingImage skips downgrades', async () => {
+  const core = { info: jest.fn() }
+  const gitClient = {
+    workDir: '',
+    stash: jest.fn(), checkout: jest.fn(), resetHard: jest.fn(), checkoutPaths: jest.fn(),
+    remoteRef: branch => `origin/${branch}`,
+    fetch: jest.fn().mockResolvedValue(false),
+  }
+  const ghClient = { getPrUrl: prNumber => `https://pr/${prNumber}` }
+  const prInputs = { ...coordinate('tenant3', 'release1', 'pre', ['worker']), newImage: 'foo/worker:1.9.0' }
+
+  const results = await new PullRequestBuilder(prInputs, 'master').openPRUpdatingImage(ghClient, yamlUtils, core, gitClient)
+  expect(results.map(result => [result.status, result.downgrades])).toEqual([
+    ['skipped', [{ service: 'worker', oldTag: '2.0.0', newTag: '1.9.0', applied: false }]]
+  ])
+  expect(core.info).toHaveBeenCalledWith(expect.stringContaining(
+    'Skipping tenant3/release1/pre/worker: Service worker would be downgraded from 2.0.0 to 1.9.0'
+  ))
+})
+
+test('getReviewers', async () => {
+  const prInputsList = [
+    coordinate('tenant1', 'release1', 'dev', ['proxy'], ['rev1', '@org/team']),
+    coordinate('tenant1', 'release1', 'pro', ['proxy'], ['Rev1']),
+  ]
+  const fakeYamlUtils = {
+    loadReviewers: jest.fn((tenant, application, environment) => environment === 'pro' ? ['org/pro-owners'] : [])
+  }
+  const ghClient = {
+    getFileContent: jest.fn(async filePath => filePath === 'CODEOWNERS'
+      ? '* @org/admins\nfixtures/tenant1/**/pro/ @lead @org/pro-owners\n'
+      : null)
+  }
+  const prBuilder = new PullRequestBuilder(prInputsList, 'master', 'app', { codeownersReviewers: true })
+
+  expect(await prBuilder.getReviewers(ghClient, fakeYamlUtils, ['fixtures/tenant1/release1/dev/images.yaml', 'fixtures/tenant1/release1/pro/images.yaml']))
+    .toEqual(['rev1', 'org/team', 'org/pro-owners', 'org/admins', 'lead'])
+  expect(fakeYamlUtils.loadReviewers).toHaveBeenCalledWith('tenant1', 'release1', 'pro', 'fixtures')
+  expect(ghClient.getFileContent).toHaveBeenCalledWith('.github/CODEOWNERS', 'master')
+})
+
+test('setPRLabels with configured prefixes and custom labels', async () => {
+  const prInputsList = [
+    { ...coordinate('tenant1', 'release1', 'dev', ['proxy']), customLabels: ['risk/high'] },
+    { ...coordinate('tenant1', 'release1', 'pre', ['proxy']), customLabels: ['Risk/High', 'image-repo/foo-proxy'] },
+  ]
+  const ghClient = {
+    getRepoLabels: jest.fn().mockResolvedValue([{ name: 'Tenant/tenant1', color: '234099', description: '' }]),
+    createLabel: jest.fn(),
+    updateLabel: jest.fn(),
+    setPRLabels: jest.fn(),
+  }
+  const prBuilder = new PullRequestBuilder(prInputsList, 'master', 'app', { labelsConfig: { service: { prefix: 'svc:' } } })
+
+  expect(prBuilder.getPRLabels()).toEqual([
+    'tenant/tenant1', 'app/release1', 'env/dev', 'svc:proxy', 'risk/high', 'env/pre', 'image-repo/foo-proxy'
+  ])
+  expect(await prBuilder.setPRLabels(ghClient, 42)).toEqual({
+    labels: ['Tenant/tenant1', 'app/release1', 'env/dev', 'svc:proxy', 'risk/high', 'env/pre', 'image-repo/foo-proxy'],
+    created: ['app/release1', 'env/dev', 'svc:proxy', 'risk/high', 'env/pre', 'image-repo/foo-proxy'],
+    updated: [],
+  })
+  expect(ghClient.getRepoLabels).toHaveBeenCalledTimes(1)
+  expect(ghClient.createLabel).toHaveBeenCalledWith('risk/high', '7e7c7a', '')
+  expect(ghClient.setPRLabels).toHaveBeenCalledWith(42, expect.arrayContaining(['Tenant/tenant1']))
+})
+
+test('findPullRequest', async () => {
+  const prBuilder = new PullRequestBuilder(coordinate('tenant1', 'release1', 'dev', ['proxy']), 'master')
+  const findPullRequest = prs => prBuilder.findPullRequest({ getBranchPRs: async () => prs })
+
+  expect(await findPullRequest([])).toEqual({ prNumber: 0, closedPrNumber: 0 })
+  expect(await findPullRequest([{ number: 9, state: 'closed', merged: false }, { number: 8, state: 'open', merged: false }]))
+    .toEqual({ prNumber: 8, closedPrNumber: 0 })
+  expect(await findPullRequest([{ number: 9, state: 'closed', merged: false }, { number: 8, state: 'closed', merged: true }]))
+    .toEqual({ prNumber: 0, closedPrNumber: 9 })
+  expect(await findPullRequest([{ number: 9, state: 'closed', merged: true }, { number: 8, state: 'closed', merged: false }]))
+    .toEqual({ prNumber: 0, closedPrNumber: 0 })
+})
+
+test('planPRUpdatingImage with a closed PR', async () => {
+  const prInputs = { ...coordinate('tenant1', 'release1', 'dev', ['proxy']), newImage: 'foo/proxy:2.0.0' }
+  const ghClient = {
+    getBranchPRs: jest.fn().mockResolvedValue([{ number: 9, state: 'closed', merged: false }]),
+    getPrApprovals: jest.fn()
+  }
+  const plan = policy => new PullRequestBuilder(prInputs, 'master', 'none', { closedPrPolicy: policy }).planPRUpdatingImage(ghClient, yamlUtils)
+
+  expect(await plan('reopen')).toMatchObject({ prNumber: 0, closedPrNumber: 9, prAction: 'reopen' })
+  expect(await plan('create')).toMatchObject({ prNumber: 0, closedPrNumber: 9, prAction: 'create' })
+  expect(await plan('skip')).toMatchObject({ prNumber: 0, closedPrNumber: 9, prAction: 'skip' })
+})
+
+describe('openPRUpdatingImage with a closed PR', () => {
+  const prInputs = { ...coordinate('tenant1', 'release1', 'dev', ['proxy']), newImage: 'foo/proxy:2.0.0' }
+  const fakeYamlUtils = {
+    updateImageFields: jest.fn(() => ({ oldValue: 'foo/proxy:dev', newValue: 'foo/proxy:2.0.0', fileName: 'fixtures/tenant1/release1/dev/images.yaml' }))
+  }
+  const core = { info: jest.fn() }
+  const gitClient = (push) => ({
+    workDir: '',
+    stash: jest.fn(), checkout: jest.fn(), resetHard: jest.fn(), checkoutPaths: jest.fn(),
+    remoteRef: branch => `origin/${branch}`,
+    fetch: jest.fn().mockResolvedValue(false),
+    commit: jest.fn(),
+    push,
+  })
+  const ghClient = () => ({
+    getActionUrl: () => 'https://run',
+    getBranchPRs: jest.fn().mockResolvedValue([{ number: 9, state: 'closed', merged: false }]),
+    reopenPr: jest.fn(),
+    closePr: jest.fn(),
+  })
+
+  test('closes the reopened PR again when the push fails', async () => {
+    const client = ghClient()
+    const push = jest.fn().mockRejectedValue(new Error('stale info'))
+
+    await expect(new PullRequestBuilder(prInputs, 'master').openPRUpdatingImage(client, fakeYamlUtils, core, gitClient(push)))
+      .rejects.toThrow('stale info')
+    expect(client.reopenPr).toHaveBeenCalledWith(9)
+    expect(client.closePr).toHaveBeenCalledWith(9)
+  })
+
+  test('does not reopen the PR when the commit message template is invalid', async () => {
+    const client = ghClient()
+    const push = jest.fn()
+    const prBuilder = new PullRequestBuilder(prInputs, 'master', 'none', { templates: { commitMessage: '{{ unknown }}' } })
+
+    await expect(prBuilder.openPRUpdatingImage(client, fakeYamlUtils, core, gitClient(push)))
+      .rejects.toThrow('Unknown template variable unknown')
+    expect(client.reopenPr).not.toHaveBeenCalled()
+    expect(push).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,100 @@
+const http = require('http');
+const RegistryUtils = require('../utils/RegistryUtils');
+
+test('parseRegistryImage', () => {
+  expect(RegistryUtils.parseRegistryImage('nginx'))
+    .toEqual({ registry: 'registry-1.docker.io', name: 'library/nginx', reference: 'latest' });
+  expect(RegistryUtils.parseRegistryImage('docker.io/foo/proxy:1.5.0'))
+    .toEqual({ registry: 'registry-1.docker.io', name: 'foo/proxy', reference: '1.5.0' });
+  expect(RegistryUtils.parseRegistryImage('ghcr.io/prefapp/proxy:1.5.0@sha256:abc'))
+    .toEqual({ registry: 'ghcr.io', name: 'prefapp/proxy', reference: 'sha256:abc' });
+  expect(RegistryUtils.parseRegistryImage('localhost:5000/proxy:1.5.0'))
+    .toEqual({ registry: 'localhost:5000', name: 'proxy', reference: '1.5.0' });
+  expect(RegistryUtils.normalizeRepository('nginx')).toBe('docker.io/library/nginx');
+  expect(RegistryUtils.normalizeRepository('index.docker.io/foo/proxy')).toBe('docker.io/foo/proxy');
+  expect(RegistryUtils.normalizeRepository('docker.io/foo', true)).toBe('docker.io/foo');
+  expect(RegistryUtils.normalizeRepository('ghcr.io', true)).toBe('ghcr.io');
+  expect(RegistryUtils.getBaseUrl('localhost:5000')).toBe('http://localhost:5000');
+  expect(RegistryUtils.getBaseUrl('ghcr.io')).toBe('https://ghcr.io');
+});
+
+// Stand-in of a registry whose tokens are only handed to the bot user
+describe('manifestExists against a local registry', () => {
+  let server;
+  let registry;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      if (req.url.startsWith('/token')) {
+        const authorized = req.headers.authorization === `Basic ${Buffer.from('bot:secret').toString('base64')}`;
+        res.writeHead(authorized ? 200 : 401, { 'Content-Type': 'application/json' });
+        return res.end(authorized ? JSON.stringify({ token: 'abc' }) : '{}');
+      }
+      if (req.headers.authorization !== 'Bearer abc') {
+        res.writeHead(401, {
+          'WWW-Authenticate': `Bearer realm="http://${registry}/token",service="local",scope="repository:prefapp/proxy:pull"`
+        });
+        return res.end();
+      }
+      if (req.url === '/v2/prefapp/proxy/manifests/1.5.0' && req.headers.accept.includes('application/vnd.oci.image.index.v1+json')) {
+        res.writeHead(200);
+        return res.end();
+      }
+      if (req.url === '/v2/prefapp/proxy/manifests/boom') {
+        res.writeHead(500);
+        return res.end();
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    registry = `127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('with credentials', async () => {
+    const registryClient = new RegistryUtils({ [registry]: { username: 'bot', password: 'secret' } });
+
+    expect(await registryClient.manifestExists(`${registry}/prefapp/proxy:1.5.0`)).toBe(true);
+    expect(requests.slice(-3)).toEqual([
+      'HEAD /v2/prefapp/proxy/manifests/1.5.0',
+      'GET /token?service=local&scope=repository%3Aprefapp%2Fproxy%3Apull',
+      'HEAD /v2/prefapp/proxy/manifests/1.5.0',
+    ]);
+    expect(await registryClient.manifestExists(`${registry}/prefapp/proxy:1.6.0`)).toBe(false);
+    await expect(registryClient.manifestExists(`${registry}/prefapp/proxy:boom`))
+      .rejects.toThrow(`Unexpected response 500 from registry ${registry} for prefapp/proxy:boom`);
+  });
+
+  test('without credentials', async () => {
+    await expect(new RegistryUtils().manifestExists(`${registry}/prefapp/proxy:1.5.0`))
+      .rejects.toThrow(`Unable to get a token for registry ${registry}: 401`);
+  });
+});
+
+test('manifestExists uses the docker.io credentials for Docker Hub images', async () => {
+  const response = (status, headers = {}, body = {}) => ({
+    status, ok: status === 200, headers: { get: name => headers[name] }, json: async () => body
+  });
+  const fetchFn = jest.fn(async (url, { headers }) => {
+    if (url.startsWith('https://auth.docker.io/token')) {
+      const authorized = headers.Authorization === `Basic ${Buffer.from('bot:secret').toString('base64')}`;
+      return authorized ? response(200, {}, { token: 'abc' }) : response(401);
+    }
+    if (headers.Authorization === 'Bearer abc') return response(200);
+    return response(401, {
+      'www-authenticate': 'Bearer realm="https://auth.docker.io/token",service="registry.docker.io",scope="repository:foo/private:pull"'
+    });
+  });
+
+  expect(await new RegistryUtils({ 'docker.io': { username: 'bot', password: 'secret' } }, fetchFn).manifestExists('foo/private:1.0.0'))
+    .toBe(true);
+  expect(fetchFn).toHaveBeenCalledWith('https://registry-1.docker.io/v2/foo/private/manifests/1.0.0', expect.anything());
+  await expect(new RegistryUtils({ 'ghcr.io': { username: 'bot', password: 'secret' } }, fetchFn).manifestExists('foo/private:1.0.0'))
+    .rejects.toThrow('Unable to get a token for registry registry-1.docker.io: 401');
+});
@@ -0,0 +1,102 @@
+const ResultUtils = require('../utils/ResultUtils');
+const PullRequestBuilder = require('../model/PullRequestBuilder');
+const { ServiceUpdateError } = PullRequestBuilder;
+
+const fakeCore = () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  setFailed: jest.fn(),
+  setOutput: jest.fn(),
+});
+
+const ghClient = { getPrUrl: prNumber => `https://pr/${prNumber}` };
+
+const builder = environment => new PullRequestBuilder({
+  baseFolder: '',
+  tenant: 'tenant1',
+  application: 'release1',
+  environment,
+  serviceNameList: ['proxy'],
+  newImage: 'foo/proxy:1.5.0',
+  repositoryCaller: 'caller',
+}, 'master');
+
+const result = (env, status, prNumber = 0, extra = {}) => ({ tenant: 'tenant1', app: 'release1', env, status, prNumber, ...extra });
+
+describe('collectResults', () => {
+  const prBuilders = [builder('dev'), builder('pre'), builder('pro')];
+  const openPR = () => jest.fn(async prBuilder => {
+    if (prBuilder.prInputsList[0].environment === 'pre') {
+      throw new ServiceUpdateError(prBuilder.prInputsList[0], 'proxy', new Error('no service proxy'));
+    }
+    return [result(prBuilder.prInputsList[0].environment, 'created', 42)];
+  });
+
+  test('stops at the first failed group with fail_fast', async () => {
+    const core = fakeCore();
+    const open = openPR();
+
+    const results = await ResultUtils.collectResults(core, ghClient, prBuilders, open, true);
+    expect(results.map(({ env, status }) => [env, status])).toEqual([['dev', 'created'], ['pre', 'failed']]);
+    expect(results[1]).toMatchObject({ service: 'proxy', error: 'no service proxy', prNumber: 0 });
+    expect(open).toHaveBeenCalledTimes(2);
+    expect(core.info).not.toHaveBeenCalled();
+  });
+
+  test('continues with the remaining groups without fail_fast', async () => {
+    const core = fakeCore();
+    const open = openPR();
+
+    const results = await ResultUtils.collectResults(core, ghClient, prBuilders, open, false);
+    expect(results.map(({ env, status }) => [env, status])).toEqual([['dev', 'created'], ['pre', 'failed'], ['pro', 'created']]);
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Continuing with the remaining images'));
+  });
+
+  test('takes the failed coordinates of a group that does not throw as a failure', async () => {
+    const open = jest.fn(async prBuilder => [result(prBuilder.prInputsList[0].environment, 'failed', 0, { error: 'not allowed' })]);
+
+    expect(await ResultUtils.collectResults(fakeCore(), ghClient, prBuilders, open, true)).toHaveLength(1);
+    expect(open).toHaveBeenCalledTimes(1);
+  });
+});
+
+test('setOutputs', () => {
+  const core = fakeCore();
+  const results = [result('dev', 'created', 42), result('pre', 'updated', 42), result('pro', 'failed'), result('qa', 'merged', 7)];
+
+  ResultUtils.setOutputs(core, results);
+  expect(core.setOutput).toHaveBeenCalledWith('results', JSON.stringify(results));
+  expect(core.setOutput).toHaveBeenCalledWith('pr_numbers', '[42,7]');
+});
+
+describe('reportFailures', () => {
+  test('fails the action with every failed coordinate', () => {
+    const core = fakeCore();
+    ResultUtils.reportFailures(core, [
+      result('dev', 'created', 42),
+      result('pre', 'failed', 0, { service: 'proxy', error: 'no service proxy' }),
+      result('pro', 'failed', 0, { error: 'Image foo/proxy:latest of tenant1/release1/pro is not allowed' }),
+    ], 0);
+
+    expect(core.setFailed).toHaveBeenCalledWith('2 coordinate(s) failed:\n' +
+      '- tenant1/release1/pre/proxy: no service proxy\n' +
+      '- tenant1/release1/pro: Image foo/proxy:latest of tenant1/release1/pro is not allowed');
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+
+  test('warns about the coordinates not processed', () => {
+    const core = fakeCore();
+    ResultUtils.reportFailures(core, [result('dev', 'failed', 0, { error: 'push rejected' })], 2);
+
+    expect(core.warning).toHaveBeenCalledWith('2 coordinate(s) were not processed because fail_fast is enabled');
+    expect(core.setFailed).toHaveBeenCalledWith('1 coordinate(s) failed:\n- tenant1/release1/dev: push rejected');
+  });
+
+  test('does not fail the action without failures', () => {
+    const core = fakeCore();
+    ResultUtils.reportFailures(core, [result('dev', 'skipped')], 0);
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.warning).not.toHaveBeenCalled();
+  });
+});
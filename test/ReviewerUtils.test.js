@@ -0,0 +1,48 @@
+const ReviewerUtils = require('../utils/ReviewerUtils');
+
+const fakeGhClient = (prAddReviewers = jest.fn().mockResolvedValue('reviewers added')) => ({
+  repoOwner: 'prefapp',
+  getPrAuthor: jest.fn().mockResolvedValue('Bot'),
+  isCollaborator: jest.fn(async username => {
+    if (username === 'forbidden') throw Object.assign(new Error('Forbidden'), { status: 403 });
+    return username !== 'stranger';
+  }),
+  prAddReviewers,
+});
+
+test('normalize', () => {
+  expect(ReviewerUtils.normalize(['@rev1', 'Rev1', ' rev2 ', '', '@prefapp/team', 'prefapp/team']))
+    .toEqual(['rev1', 'rev2', 'prefapp/team']);
+});
+
+test('requestReviewers routes teams and skips the ones that can not review', async () => {
+  const ghClient = fakeGhClient();
+
+  expect(await ReviewerUtils.requestReviewers(ghClient, 42, ['rev1', 'bot', 'stranger', 'forbidden', 'prefapp/platform', 'other/team']))
+    .toEqual({
+      requested: ['rev1', 'forbidden', 'prefapp/platform'],
+      skipped: [
+        { reviewer: 'bot', reason: 'the author of a pull request can not review it' },
+        { reviewer: 'stranger', reason: 'not a collaborator of the repository' },
+        { reviewer: 'other/team', reason: 'only teams of prefapp can review its pull requests' },
+      ]
+    });
+  expect(ghClient.prAddReviewers).toHaveBeenCalledTimes(1);
+  expect(ghClient.prAddReviewers).toHaveBeenCalledWith(42, ['rev1', 'forbidden'], ['platform']);
+});
+
+test('requestReviewers requests them one by one when GitHub refuses the request', async () => {
+  const prAddReviewers = jest.fn(async (prNumber, users, teams) => {
+    if (teams.includes('missing')) throw new Error('Reviews may only be requested from collaborators');
+  });
+  const ghClient = fakeGhClient(prAddReviewers);
+
+  expect(await ReviewerUtils.requestReviewers(ghClient, 42, ['rev1', 'prefapp/missing'])).toEqual({
+    requested: ['rev1'],
+    skipped: [{ reviewer: 'prefapp/missing', reason: 'Reviews may only be requested from collaborators' }]
+  });
+  expect(prAddReviewers).toHaveBeenCalledTimes(3);
+
+  expect(await ReviewerUtils.requestReviewers(ghClient, 42, [])).toEqual({ requested: [], skipped: [] });
+  expect(ghClient.getPrAuthor).toHaveBeenCalledTimes(1);
+});
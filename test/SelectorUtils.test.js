@@ -0,0 +1,67 @@
+const SelectorUtils = require('../utils/SelectorUtils');
+const gitUtils = require('../utils/GitUtils');
+const { yamlUtils } = require('../utils/YamlUtils');
+
+const gitClient = new gitUtils();
+const entry = { base_folder: 'fixtures', reviewers: [], image: 'foo/proxy:1.5.0', repository_caller: 'caller' };
+
+test('globs', () => {
+  expect(SelectorUtils.isGlob('tenant*')).toBe(true);
+  expect(SelectorUtils.isGlob('tenant1')).toBe(false);
+  expect(SelectorUtils.matches('tenant?', 'tenant1')).toBe(true);
+  expect(SelectorUtils.matches('tenant?', 'tenant10')).toBe(false);
+  expect(SelectorUtils.matches(['dev', 'p*'], 'pro')).toBe(true);
+  expect(SelectorUtils.matches('foo.proxy', 'fooXproxy')).toBe(false);
+  expect(SelectorUtils.hasSelectors({ tenant: 't', app: 'a', env: ['dev', 'pre'], service_name_list: ['proxy'] })).toBe(true);
+  expect(SelectorUtils.hasSelectors({ tenant: 't', app: 'a', env: 'dev', service_name_list: ['proxy'] })).toBe(false);
+});
+
+test('resolveServices', () => {
+  const images = { proxy: 'ghcr.io/foo/proxy:1.4.0', 'proxy-admin': 'ghcr.io/foo/proxy:1.4.0', dns: 'foo/dns:1.0.0' };
+  expect(SelectorUtils.resolveServices({ service_name_list: ['proxy*', 'dns', 'proxy'] }, images)).toEqual(['proxy', 'proxy-admin', 'dns']);
+  expect(SelectorUtils.resolveServices({ service_selector: { image_repository: '*/foo/proxy' } }, images)).toEqual(['proxy', 'proxy-admin']);
+  expect(SelectorUtils.resolveServices({ service_name_list: ['*-admin', 'dns'], service_selector: { image_repository: 'ghcr.io/*' } }, images))
+    .toEqual(['proxy-admin']);
+});
+
+test('expandEntry scans the state repo', async () => {
+  expect(await SelectorUtils.expandEntry(
+    { ...entry, tenant: 'tenant*', app: 'release1', env: ['dev', 'pro'], service_name_list: ['proxy'] }, yamlUtils, gitClient, 'main'
+  )).toEqual([
+    { ...entry, tenant: 'tenant1', app: 'release1', env: 'dev', service_name_list: ['proxy'] },
+    { ...entry, tenant: 'tenant1', app: 'release1', env: 'pro', service_name_list: ['proxy'] },
+    { ...entry, tenant: 'tenant3', app: 'release1', env: 'dev', service_name_list: ['proxy'] },
+    { ...entry, tenant: 'tenant4', app: 'release1', env: 'pro', service_name_list: ['proxy'] },
+  ]);
+
+  expect(await SelectorUtils.expandEntry(
+    { ...entry, tenant: ['tenant1', 'tenant4'], app: 'release?', env: 'pro', service_selector: { image_repository: 'foo/proxy' } },
+    yamlUtils, gitClient, 'main'
+  )).toEqual([
+    { ...entry, tenant: 'tenant1', app: 'release1', env: 'pro', service_name_list: ['proxy'] },
+    { ...entry, tenant: 'tenant4', app: 'release1', env: 'pro', service_name_list: ['proxy'] },
+  ]);
+
+  expect(await SelectorUtils.expandEntry(
+    { ...entry, tenant: 'tenant3', app: 'release1', env: 'dev', service_name_list: ['app-*', 'dns'] }, yamlUtils, gitClient, 'main'
+  )).toEqual([{ ...entry, tenant: 'tenant3', app: 'release1', env: 'dev', service_name_list: ['app-server', 'app-client', 'dns'] }]);
+
+  await expect(SelectorUtils.expandEntry(
+    { ...entry, tenant: 'tenant3', app: 'release1', env: 'pro', service_name_list: ['app-*'] }, yamlUtils, gitClient, 'main'
+  )).rejects.toThrow('There is no images.yaml file in fixtures/tenant3/release1/pro to select the services of');
+});
+
+test('expandEntries through the GitHub API', async () => {
+  const listDirectories = jest.fn(async (ref, folder) => folder === 'fixtures/tenant1/release1' ? ['dev', 'pre', 'pro'] : []);
+  const apiClient = { workDir: '', listDirectories, checkoutPaths: jest.fn() };
+  const regular = { ...entry, tenant: 'tenant1', app: 'release1', env: 'dev', service_name_list: ['proxy'] };
+
+  const { entries, expansions } = await SelectorUtils.expandEntries(
+    [regular, { ...regular, env: 'p*' }], yamlUtils, apiClient, 'main'
+  );
+  expect(entries.map(({ tenant, app, env }) => `${tenant}/${app}/${env}`))
+    .toEqual(['tenant1/release1/dev', 'tenant1/release1/pre', 'tenant1/release1/pro']);
+  expect(expansions).toHaveLength(1);
+  expect(listDirectories).toHaveBeenCalledWith('main', 'fixtures/tenant1/release1');
+  expect(apiClient.checkoutPaths).toHaveBeenCalledWith('main', ['fixtures/tenant1/release1/pre']);
+});
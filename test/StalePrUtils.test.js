@@ -0,0 +1,130 @@
+const StalePrUtils = require('../utils/StalePrUtils');
+const LabelUtils = require('../utils/LabelUtils');
+
+const NOW = Date.parse('2024-06-30T00:00:00Z');
+
+const DEV_FILE = 'apps/tenant1/release1/dev/images.yaml';
+const PRO_FILE = 'apps/tenant1/release1/pro/images.yaml';
+
+const files = {
+  main: {
+    [DEV_FILE]: 'proxy:\n  image: foo/proxy:1.5.0\ndns:\n  image: foo/dns:1.0.0\n',
+    [PRO_FILE]: 'proxy:\n  image: foo/proxy:1.4.0\n',
+  },
+  // main when PRs 10 and 12 branched, dns and the pro proxy were updated afterwards
+  base: {
+    [DEV_FILE]: 'proxy:\n  image: foo/proxy:1.2.0\ndns:\n  image: foo/dns:0.9.0\n',
+    [PRO_FILE]: 'proxy:\n  image: foo/proxy:1.3.0\n',
+  },
+  // Updates proxy in dev, superseded by this run
+  sha10: { [DEV_FILE]: 'proxy:\n  image: foo/proxy:1.3.0\ndns:\n  image: foo/dns:0.9.0\n' },
+  // Updates proxy and dns in dev, dns was not updated in this run
+  sha11: { [DEV_FILE]: 'proxy:\n  image: foo/proxy:1.3.0\ndns:\n  image: foo/dns:0.9.0\n' },
+  // Updates proxy in pro, already in main
+  sha12: { [PRO_FILE]: 'proxy:\n  image: foo/proxy:1.4.0\n' },
+  // Updates proxy in pro, not updated for months
+  sha13: { [PRO_FILE]: 'proxy:\n  image: foo/proxy:1.2.0\n' },
+  // Changes no images.yaml file since its merge base, e.g. a human pushed only other files
+  sha16: {},
+  // PR of this run
+  sha42: { [DEV_FILE]: 'proxy:\n  image: foo/proxy:1.6.0\ndns:\n  image: foo/dns:1.0.0\n' },
+};
+
+const mergeBases = { sha10: 'base', sha11: 'main', sha12: 'base', sha13: 'main', sha16: 'main', sha42: 'main' };
+
+const openPR = (number, updatedAt, labels = ['tenant/tenant1'], branch = `automated/update-image-tenant1-release1-dev-caller${number}`) =>
+  ({ number, branch, headSha: `sha${number}`, labels, updatedAt });
+
+const fakeGhClient = () => ({
+  getDefaultBranch: () => 'main',
+  getActionUrl: () => 'https://run',
+  getOpenPRs: jest.fn().mockResolvedValue([
+    openPR(10, '2024-06-29T00:00:00Z'),
+    openPR(11, '2024-06-29T00:00:00Z'),
+    openPR(12, '2024-06-29T00:00:00Z'),
+    openPR(13, '2024-01-01T00:00:00Z'),
+    openPR(14, '2024-01-01T00:00:00Z', ['bug']),
+    openPR(15, '2024-01-01T00:00:00Z', ['tenant/tenant1'], 'feature/proxy'),
+    openPR(16, '2024-06-29T00:00:00Z'),
+    openPR(42, '2024-01-01T00:00:00Z', ['tenant/tenant1'], 'automated/update-image-tenant1-release1-dev-caller'),
+  ]),
+  getMergeBase: jest.fn(async (base, head) => mergeBases[head]),
+  getPrFiles: jest.fn(async prNumber => Object.keys(files[`sha${prNumber}`]).concat('README.md')),
+  getFileContent: jest.fn(async (file, ref) => files[ref][file] ?? null),
+  commentPr: jest.fn(),
+  closePr: jest.fn(),
+  deleteBranch: jest.fn(),
+});
+
+const runChanges = [
+  { file: DEV_FILE, service: 'proxy', branch: 'automated/update-image-tenant1-release1-dev-caller', prNumber: 42 },
+];
+
+const context = { branchPrefix: 'automated/update-image-', labelsConfig: LabelUtils.getConfig(), now: NOW };
+
+test('getChangedServices', () => {
+  expect(StalePrUtils.getChangedServices(files.main[DEV_FILE], files.sha11[DEV_FILE])).toEqual(['proxy', 'dns']);
+  expect(StalePrUtils.getChangedServices(files.main[PRO_FILE], files.sha12[PRO_FILE])).toEqual([]);
+  expect(StalePrUtils.getChangedServices(null, files.sha12[PRO_FILE])).toEqual(['proxy']);
+});
+
+test('getPRChanges compares the PR with its merge base', async () => {
+  const ghClient = fakeGhClient();
+
+  // dns differs from main only because main moved after the PR branched
+  expect(await StalePrUtils.getPRChanges(ghClient, openPR(10), 'main')).toEqual([
+    { file: DEV_FILE, service: 'proxy', applied: false },
+  ]);
+  expect(await StalePrUtils.getPRChanges(ghClient, openPR(11), 'main')).toEqual([
+    { file: DEV_FILE, service: 'proxy', applied: false },
+    { file: DEV_FILE, service: 'dns', applied: false },
+  ]);
+  expect(await StalePrUtils.getPRChanges(ghClient, openPR(12), 'main')).toEqual([
+    { file: PRO_FILE, service: 'proxy', applied: true },
+  ]);
+});
+
+test('getRunChanges', () => {
+  const prInputsList = [{ baseFolder: 'apps', tenant: 'tenant1', application: 'release1', environment: 'dev' }];
+  const results = [
+    { tenant: 'tenant1', app: 'release1', env: 'dev', branch: 'automated/b', prNumber: 42, status: 'created', images: { proxy: {} } },
+    { tenant: 'tenant1', app: 'release1', env: 'pro', branch: 'automated/c', prNumber: 0, status: 'failed', images: {} },
+  ];
+  expect(StalePrUtils.getRunChanges(prInputsList, results)).toEqual([
+    { file: DEV_FILE, service: 'proxy', branch: 'automated/b', prNumber: 42 },
+  ]);
+});
+
+test('findStalePRs', async () => {
+  const ghClient = fakeGhClient();
+
+  expect(await StalePrUtils.findStalePRs(ghClient, { superseded: true, applied: true, max_age_days: 30 }, runChanges, context))
+    .toEqual([
+      { prNumber: 10, branch: 'automated/update-image-tenant1-release1-dev-caller10', reason: 'superseded', message: 'its changes are superseded by #42' },
+      { prNumber: 12, branch: 'automated/update-image-tenant1-release1-dev-caller12', reason: 'applied', message: 'its changes are already in main' },
+      { prNumber: 13, branch: 'automated/update-image-tenant1-release1-dev-caller13', reason: 'stale', message: 'it has not been updated for more than 30 days' },
+    ]);
+  expect(ghClient.getMergeBase).toHaveBeenCalledWith('main', 'sha10');
+  expect(ghClient.getFileContent).toHaveBeenCalledWith(DEV_FILE, 'sha10');
+
+  expect(await StalePrUtils.findStalePRs(ghClient, { max_age_days: 30 }, runChanges, context))
+    .toEqual([expect.objectContaining({ prNumber: 13, reason: 'stale' })]);
+  // PR 16 has no images.yaml changes, it is not taken as applied
+  expect(await StalePrUtils.findStalePRs(ghClient, { applied: true }, [], context))
+    .toEqual([expect.objectContaining({ prNumber: 12, reason: 'applied' })]);
+  expect(ghClient.getPrFiles).toHaveBeenCalledWith(16);
+});
+
+test('closePRs', async () => {
+  const ghClient = fakeGhClient();
+  const stalePRs = [{ prNumber: 10, branch: 'automated/update-image-a', reason: 'superseded', message: 'its changes are superseded by #42' }];
+
+  await StalePrUtils.closePRs(ghClient, stalePRs, {});
+  expect(ghClient.commentPr).toHaveBeenCalledWith(10,
+    '🤖 Closed by the image update automation in [this](https://run) workflow execution: its changes are superseded by #42.');
+  expect(ghClient.closePr).toHaveBeenCalledWith(10);
+  expect(ghClient.deleteBranch).toHaveBeenCalledWith('automated/update-image-a');
+
+  await StalePrUtils.closePRs(ghClient, stalePRs, { delete_branch: false });
+  expect(ghClient.deleteBranch).toHaveBeenCalledTimes(1);
+});
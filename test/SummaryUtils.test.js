@@ -0,0 +1,87 @@
+const SummaryUtils = require('../utils/SummaryUtils');
+
+const fakeSummary = () => {
+  const summary = {
+    addHeading: jest.fn(() => summary),
+    addRaw: jest.fn(() => summary),
+    addTable: jest.fn(() => summary),
+    write: jest.fn(async () => summary)
+  }
+  return summary
+}
+
+test('writePlanSummary', async () => {
+  const summary = fakeSummary();
+  await SummaryUtils.writePlanSummary(summary, [{
+    prNumber: 7,
+    prAction: 'update',
+    autoMerge: true,
+    coordinates: [{
+      tenant: 'tenant1',
+      app: 'release1',
+      env: 'dev',
+      services: [
+        { service: 'proxy', status: 'update', oldValue: 'foo/proxy:1.4.0', newValue: 'foo/proxy:1.5.0' },
+        { service: 'dns', status: 'unchanged' },
+        { service: 'worker', status: 'downgrade', oldTag: '2.0.0', newTag: '1.9.0' }
+      ]
+    }]
+  }]);
+
+  const rows = summary.addTable.mock.calls[0][0];
+  expect(rows).toHaveLength(4);
+  expect(rows[1]).toEqual([
+    'tenant1', 'release1', 'dev', 'proxy', '<code>foo/proxy:1.4.0</code>', '<code>foo/proxy:1.5.0</code>', 'update #7', 'yes'
+  ]);
+  expect(rows[2]).toEqual(['tenant1', 'release1', 'dev', 'dns', '', '', 'already up to date', 'yes']);
+  expect(rows[3][6]).toBe('skipped, downgrade <code>2.0.0</code> → <code>1.9.0</code>');
+  expect(SummaryUtils.describeAutoMerge({ autoMerge: false, autoMergeReasons: ['tenant1/release1/pro: there is no AUTO_MERGE marker'] }))
+    .toBe('no<br>tenant1/release1/pro: there is no AUTO_MERGE marker');
+  expect(SummaryUtils.describePrAction({ prAction: 'error' }, { service: 'proxy', status: 'update' }, {
+    imagePolicyViolations: ['the latest tag is not allowed', 'images must be pinned to a digest in pro']
+  })).toBe('❌ the latest tag is not allowed<br>images must be pinned to a digest in pro');
+  expect(SummaryUtils.describePrAction({ prAction: 'reopen', prNumber: 0, closedPrNumber: 9 }, { service: 'proxy', status: 'update' }))
+    .toBe('reopen #9');
+  expect(SummaryUtils.describePrAction({ prAction: 'skip', prNumber: 0, closedPrNumber: 9 }, { service: 'proxy', status: 'update' }))
+    .toBe('skipped, #9 was closed');
+  expect(summary.write).toHaveBeenCalled();
+});
+
+test('writeResultsSummary', async () => {
+  const summary = fakeSummary();
+  const result = {
+    tenant: 'tenant1',
+    app: 'release1',
+    env: 'dev',
+    branch: 'automated/update-image-tenant1-release1-dev-caller',
+    prNumber: 42,
+    prUrl: 'https://github.com/owner/repo/pull/42',
+    images: { proxy: { old: 'foo/proxy:1.4.0', new: 'foo/proxy:1.5.0' } },
+    labels: ['tenant/tenant1', 'service/proxy'],
+    reviewers: ['rev1', 'rev2'],
+    autoMerge: true,
+    checks: 'passed',
+    status: 'merged'
+  }
+  await SummaryUtils.writeResultsSummary(summary, [
+    result,
+    { ...result, env: 'pro', prNumber: 0, prUrl: '', images: {}, labels: [], reviewers: [], checks: '', status: 'failed', service: 'dns', error: 'no service <dns>' }
+  ]);
+
+  const rows = summary.addTable.mock.calls[0][0];
+  expect(rows[1]).toEqual([
+    'tenant1', 'release1', 'dev', 'proxy',
+    '<code>foo/proxy:1.4.0</code> → <code>foo/proxy:1.5.0</code>',
+    '<a href="https://github.com/owner/repo/pull/42">#42</a>',
+    '<code>tenant/tenant1</code> <code>service/proxy</code>',
+    'rev1, rev2',
+    'passed',
+    '✅ merged'
+  ]);
+  expect(rows[2]).toEqual(['tenant1', 'release1', 'pro', 'dns', '', '', '', '', '', '❌ no service &lt;dns&gt;']);
+  expect(SummaryUtils.describeMerge({ ...result, status: 'created', checks: 'pending', autoMergeEnabled: true }))
+    .toBe('⏳ auto-merge enabled');
+  expect(SummaryUtils.describeMerge({
+    ...result, status: 'skipped', downgrades: [{ service: 'proxy', oldTag: '1.5.0', newTag: '1.4.0', applied: false }]
+  })).toBe('skipped, downgrade of proxy <code>1.5.0</code> → <code>1.4.0</code>');
+});
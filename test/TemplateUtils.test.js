@@ -0,0 +1,15 @@
+const TemplateUtils = require('../utils/TemplateUtils');
+
+test('render', () => {
+  expect(TemplateUtils.render('Update {{images}} in {{ coordinates }} ({{ images }})', {
+    images: 'foo/proxy:1.5.0',
+    coordinates: 'tenant1/release1/dev'
+  })).toBe('Update foo/proxy:1.5.0 in tenant1/release1/dev (foo/proxy:1.5.0)');
+  expect(TemplateUtils.render('No placeholders', {})).toBe('No placeholders');
+  expect(TemplateUtils.render('#{{ pr_number }}', { pr_number: 42 })).toBe('#42');
+});
+
+test('render with an unknown variable', () => {
+  expect(() => TemplateUtils.render('{{ tag }}', { images: 'foo/proxy:1.5.0' }))
+    .toThrow('Unknown template variable tag, allowed values: images');
+});
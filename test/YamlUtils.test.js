@@ -1,4 +1,4 @@
-const { yamlUtils } = require('../utils/YamlUtils.js');
+const { yamlUtils, ImageVersionAlreadyUpdatedError, ImageDowngradeError } = require('../utils/YamlUtils.js');
 const basePath = "";
 
 test('determineAutoMerge file not found', () => {
@@ -31,6 +31,23 @@ test('determineAutoMerge correct execution', () => {
 });
 
 
+test('loadAutoMergeRules', () => {
+  expect(yamlUtils.loadAutoMergeRules('tenant1', 'release1', 'dev', 'fixtures')).toEqual({});
+  expect(yamlUtils.loadAutoMergeRules('tenant1', 'release1', 'pro', 'fixtures')).toBe(null);
+  expect(yamlUtils.loadAutoMergeRules('tenant3', 'release1', 'dev', 'fixtures')).toMatchObject({
+    timezone: 'Europe/Madrid',
+    allowed_updates: ['patch'],
+    allowed_services: ['proxy', 'worker']
+  });
+});
+
+test('loadRequiredChecks', () => {
+  expect(yamlUtils.loadRequiredChecks('tenant3', 'release1', 'dev', 'fixtures')).toEqual(['PR Verify', 'security/scan']);
+  expect(yamlUtils.loadRequiredChecks('tenant1', 'release1', 'dev', 'fixtures')).toBe(null);
+  expect(() => yamlUtils.loadRequiredChecks('tenant3', 'release1', 'pre', 'fixtures'))
+    .toThrow('fixtures/tenant3/release1/pre/required_checks.yaml must be a list of check names');
+});
+
 test('loadYaml correct execution', () => {
   const images11dev = yamlUtils.loadYaml('./fixtures/tenant1/release1/dev/images.yaml');
   expect(images11dev["proxy"]["image"]).toBe("foo/proxy:dev");
@@ -83,3 +100,214 @@ test('modifyImage failure', () => {
 
 
 });
+
+test('modifyImage preserves comments, anchors and quoting', () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant3/release1/dev/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  try {
+    const oldProxy = yamlUtils.modifyImage("fixtures/tenant3", "release1", "dev", "proxy", "foo/proxy:1.5.0", basePath);
+    expect(oldProxy).toBe("foo/proxy:1.4.0");
+
+    const oldDns = yamlUtils.modifyImage("fixtures/tenant3", "release1", "dev", "dns", "foo/dns:baz", basePath);
+    expect(oldDns).toBe("foo/dns:bar");
+
+    const oldClient = yamlUtils.modifyImage("fixtures/tenant3", "release1", "dev", "app-client", "foo/client:2.0.0", basePath);
+    expect(oldClient).toBe("foo/common:1.0.0");
+
+    // Only the image values change, everything else is kept byte by byte
+    expect(fs.readFileSync(fileName, 'utf8')).toBe(
+      original
+        .replace("image: 'foo/proxy:1.4.0'", "image: 'foo/proxy:1.5.0'")
+        .replace("image: foo/dns:bar # pinned", "image: foo/dns:baz # pinned")
+        .replace("image: *common   #", "image: foo/client:2.0.0   #")
+    );
+
+    const images = yamlUtils.loadYaml(fileName);
+    expect(images["app-server"]["image"]).toBe("foo/common:1.0.0");
+    expect(images["app-client"]["image"]).toBe("foo/client:2.0.0");
+  } finally {
+    fs.writeFileSync(fileName, original);
+  }
+});
+
+test('modifyImage overrides an image inherited from a merge key', () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant3/release1/dev/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  try {
+    const oldValue = yamlUtils.modifyImage("fixtures/tenant3", "release1", "dev", "app-server", "foo/server:2.0.0", basePath);
+    expect(oldValue).toBe("foo/common:1.0.0");
+
+    const images = yamlUtils.loadYaml(fileName);
+    expect(images["app-server"]["image"]).toBe("foo/server:2.0.0");
+    expect(images["defaults"]["image"]).toBe("foo/common:1.0.0");
+    expect(fs.readFileSync(fileName, 'utf8')).toContain("# Edge proxy");
+  } finally {
+    fs.writeFileSync(fileName, original);
+  }
+});
+
+test('modifyImage already updated', () => {
+  expect(() => {
+    yamlUtils.modifyImage("fixtures/tenant3", "release1", "dev", "proxy", "foo/proxy:1.4.0", basePath);
+  }).toThrow(ImageVersionAlreadyUpdatedError);
+});
+
+test('loadReviewers', () => {
+  expect(yamlUtils.loadReviewers("tenant3", "release1", "dev", "fixtures")).toEqual(["prefapp/platform", "rev1"]);
+  expect(yamlUtils.loadReviewers("tenant3", "release1", "pre", "fixtures")).toEqual([]);
+});
+
+test('loadServiceImages', () => {
+  expect(yamlUtils.loadServiceImages("tenant3", "release1", "dev", "fixtures")).toEqual({
+    defaults: "foo/common:1.0.0",
+    proxy: "foo/proxy:1.4.0",
+    "app-server": "foo/common:1.0.0",
+    "app-client": "foo/common:1.0.0",
+    dns: "foo/dns:bar"
+  });
+  expect(yamlUtils.loadServiceImages("tenant3", "release1", "pre", "fixtures", { proxy: { repository: "image.repository", digest: "image.digest" } }))
+    .toEqual({ proxy: "foo/proxy@sha256:aaaa", worker: "foo/worker:2.0.0", dns: "foo/dns:bar" });
+});
+
+test('updateImageFields refuses downgrades', () => {
+  const fs = require('fs');
+  const original = fs.readFileSync('./fixtures/tenant3/release1/pre/images.yaml', 'utf8');
+
+  expect(() => yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "worker", "foo/worker:1.9.0", basePath))
+    .toThrow(new ImageDowngradeError("worker", "2.0.0", "1.9.0"));
+  expect(() => yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "worker", "foo/worker:2.0.0-rc.1", basePath, {}, true))
+    .toThrow("Service worker would be downgraded from 2.0.0 to 2.0.0-rc.1, set allow_downgrade to apply it");
+  expect(fs.readFileSync('./fixtures/tenant3/release1/pre/images.yaml', 'utf8')).toBe(original);
+
+  expect(yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "worker", "foo/worker:1.9.0", basePath, {}, true, true))
+    .toMatchObject({ oldTag: "2.0.0", newTag: "1.9.0", downgrade: true });
+  // Tags that are not versions can not be compared, so they are always applied
+  expect(yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "worker", "foo/worker:stable", basePath, {}, true))
+    .toMatchObject({ oldTag: "2.0.0", newTag: "stable", downgrade: false });
+});
+
+test('updateImageFields with image paths from the environment config', () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant3/release1/pre/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  try {
+    expect(yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "proxy", "foo/proxy:1.5.0", basePath))
+      .toEqual({ oldValue: "image.repository=foo/proxy, image.tag=1.4.0", newValue: "image.repository=foo/proxy, image.tag=1.5.0", oldTag: "1.4.0", newTag: "1.5.0", downgrade: false, fileName: "fixtures/tenant3/release1/pre/images.yaml" });
+
+    expect(yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "worker", "foo/worker:2.1.0", basePath))
+      .toEqual({ oldValue: "foo/worker:2.0.0", newValue: "foo/worker:2.1.0", oldTag: "2.0.0", newTag: "2.1.0", downgrade: false, fileName: "fixtures/tenant3/release1/pre/images.yaml" });
+
+    expect(fs.readFileSync(fileName, 'utf8')).toBe(
+      original
+        .replace('tag: "1.4.0"', 'tag: "1.5.0"')
+        .replace("image: foo/worker:2.0.0", "image: foo/worker:2.1.0")
+    );
+  } finally {
+    fs.writeFileSync(fileName, original);
+  }
+});
+
+test('updateImageFields with image paths from the input matrix', () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant3/release1/pre/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  try {
+    const imagePaths = { proxy: { repository: "image.repository", digest: "image.digest" } };
+    expect(yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "proxy", "foo/proxy:1.5.0@sha256:bbbb", basePath, imagePaths))
+      .toEqual({ oldValue: "image.repository=foo/proxy, image.digest=sha256:aaaa", newValue: "image.repository=foo/proxy, image.digest=sha256:bbbb", downgrade: false, fileName: "fixtures/tenant3/release1/pre/images.yaml" });
+
+    expect(fs.readFileSync(fileName, 'utf8')).toBe(original.replace("digest: sha256:aaaa", "digest: sha256:bbbb"));
+
+    expect(() => {
+      yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "proxy", "foo/proxy:1.5.0@sha256:bbbb", basePath, imagePaths)
+    }).toThrow(ImageVersionAlreadyUpdatedError);
+
+    expect(() => {
+      yamlUtils.updateImageFields("fixtures/tenant3", "release1", "pre", "dns", "foo/dns:baz", basePath, { dns: "containers[name=dns].image" })
+    }).toThrow("Error: path containers[name=dns].image not found in file fixtures/tenant3/release1/pre/images.yaml");
+  } finally {
+    fs.writeFileSync(fileName, original);
+  }
+});
+
+test('modifyImage keeps the aliases of an anchored image', () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant3/release1/anchors/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  try {
+    expect(yamlUtils.modifyImage("fixtures/tenant3", "release1", "anchors", "svc4", "foo/y:2.0.0", basePath)).toBe("foo/y:1.0.0");
+
+    expect(fs.readFileSync(fileName, 'utf8')).toBe(
+      original
+        .replace("svc4: {image: &img2 foo/y:1.0.0}", "svc4: {image: &img2 foo/y:2.0.0}")
+        .replace("svc5: {image: *img2}", "svc5: {image: foo/y:1.0.0}")
+    );
+    const images = yamlUtils.loadYaml(fileName);
+    expect(images["svc4"]["image"]).toBe("foo/y:2.0.0");
+    expect(images["svc5"]["image"]).toBe("foo/y:1.0.0");
+  } finally {
+    fs.writeFileSync(fileName, original);
+  }
+});
+
+test('modifyImage adds a field inherited from a merge key without reformatting the file', () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant3/release1/anchors/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  try {
+    yamlUtils.modifyImage("fixtures/tenant3", "release1", "anchors", "worker", "foo/worker:2.0.0", basePath);
+
+    expect(fs.readFileSync(fileName, 'utf8')).toBe(original.replace(
+      "    env:    production   # deployed everywhere\n",
+      "    env:    production   # deployed everywhere\n    image: foo/worker:2.0.0\n"
+    ));
+    expect(yamlUtils.loadYaml(fileName)["worker"]).toEqual({ replicas: 2, env: "production", image: "foo/worker:2.0.0" });
+  } finally {
+    fs.writeFileSync(fileName, original);
+  }
+});
+
+test('modifyImage adds a field inherited from a merge key after a nested block', () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant3/release1/anchors/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  try {
+    yamlUtils.modifyImage("fixtures/tenant3", "release1", "anchors", "svc1", "repo/foo:2.0.0", basePath);
+
+    expect(fs.readFileSync(fileName, 'utf8')).toBe(original.replace(
+      "      - 80\nsvc2:\n",
+      "      - 80\n  image: repo/foo:2.0.0\nsvc2:\n"
+    ));
+    const images = yamlUtils.loadYaml(fileName);
+    expect(images["svc1"]).toEqual({ replicas: 1, port: 8080, resources: { cpu: 1, ports: [80] }, image: "repo/foo:2.0.0" });
+    expect(images["svc2"]).toEqual({ image: "repo/bar:1.0.0" });
+  } finally {
+    fs.writeFileSync(fileName, original);
+  }
+});
+
+test('modifyImage refuses to add a field to a shared or flow map', () => {
+  const fs = require('fs');
+  const fileName = './fixtures/tenant3/release1/anchors/images.yaml';
+  const original = fs.readFileSync(fileName, 'utf8');
+
+  try {
+    expect(() => yamlUtils.modifyImage("fixtures/tenant3", "release1", "anchors", "defaults", "foo/common:2.0.0", basePath))
+      .toThrow("unable to add image to the map anchored as &defaults in file fixtures/tenant3/release1/anchors/images.yaml, it is shared");
+    expect(() => yamlUtils.updateImageFields("fixtures/tenant3", "release1", "anchors", "svc5", "foo/z:1.0.0", basePath,
+      { svc5: "tag" }))
+      .toThrow("unable to add tag to a flow map");
+    expect(fs.readFileSync(fileName, 'utf8')).toBe(original);
+  } finally {
+    fs.writeFileSync(fileName, original);
+  }
+});
@@ -0,0 +1,97 @@
+const ImageUtils = require('./ImageUtils');
+const ValidateInputs = require('../schemas/ValidateInputs');
+
+const WEEK_DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+class AutoMergeUtils {
+
+  /**
+   * Evaluates the rules of an AUTO_MERGE marker for the services updated in its environment
+   * @param rules - AUTO_MERGE rules, see schemas/auto_merge_rules_schema.json
+   * @param context - what is being merged:
+   *  - now: Date the rules are evaluated at
+   *  - updates: list of {service, oldTag, newTag}
+   *  - approvals: number of approvals of the PR
+   * @param fileName - AUTO_MERGE file, used in the validation errors
+   * @returns {string[]} The reasons why auto-merge is not allowed, empty if it is
+   */
+  static evaluate(rules, { now = new Date(), updates = [], approvals = 0 } = {}, fileName = "AUTO_MERGE") {
+    ValidateInputs.checkValidAutoMergeRules(rules, fileName);
+    const reasons = [];
+
+    if (rules.freeze) {
+      reasons.push("the environment is frozen");
+    }
+
+    if (rules.time_windows && !rules.time_windows.some(window => AutoMergeUtils.isInTimeWindow(window, now, rules.timezone))) {
+      reasons.push(`${AutoMergeUtils.formatTime(now, rules.timezone)} is outside the allowed time windows`);
+    }
+
+    for (const { service, oldTag, newTag } of updates) {
+      if (rules.allowed_services && !rules.allowed_services.includes(service)) {
+        reasons.push(`service ${service} is not in the allowed services`);
+      }
+      if (rules.allowed_tags && !rules.allowed_tags.some(pattern => new RegExp(pattern).test(newTag ?? ""))) {
+        reasons.push(`tag ${newTag} of service ${service} does not match the allowed tags`);
+      }
+      if (rules.allowed_updates) {
+        const updateType = ImageUtils.getUpdateType(oldTag, newTag);
+        if (updateType === undefined) {
+          reasons.push(`${oldTag} -> ${newTag} of service ${service} is not a semver update`);
+        } else if (updateType !== "none" && !rules.allowed_updates.includes(updateType)) {
+          reasons.push(`${oldTag} -> ${newTag} of service ${service} is a ${updateType} update, ` +
+            `allowed updates: ${rules.allowed_updates.join(", ")}`);
+        }
+      }
+    }
+
+    if (rules.required_approvals && approvals < rules.required_approvals) {
+      reasons.push(`the pull request has ${approvals} approval(s), ${rules.required_approvals} required`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Rules that only hold when they are evaluated, and GitHub native auto-merge can not enforce
+   * once it is enabled: it merges whenever the checks pass, at any time and without counting approvals
+   * @returns {string[]} The names of those rules set in an AUTO_MERGE marker
+   */
+  static getNativeUnsupportedRules(rules) {
+    return ["time_windows", "required_approvals"].filter(rule => rules[rule] !== undefined);
+  }
+
+  /**
+   * Whether a date is inside a time window ({days, from, to}) of a time zone. A window without days
+   * applies every day, `from` defaults to 00:00 and `to` to 24:00
+   */
+  static isInTimeWindow(window, now, timezone = "UTC") {
+    const { day, time } = AutoMergeUtils.getLocalTime(now, timezone);
+    if (window.days && !window.days.includes(day)) return false;
+    return time >= (window.from ?? "00:00") && time < (window.to ?? "24:00");
+  }
+
+  /**
+   * @returns {{day: string, time: string}} week day (mon, tue...) and HH:MM time of a date in a time zone
+   */
+  static getLocalTime(now, timezone = "UTC") {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return {
+      day: WEEK_DAYS.find(day => parts.weekday.toLowerCase().startsWith(day)),
+      time: `${parts.hour}:${parts.minute}`,
+    };
+  }
+
+  static formatTime(now, timezone = "UTC") {
+    const { day, time } = AutoMergeUtils.getLocalTime(now, timezone);
+    return `${day} ${time} (${timezone})`;
+  }
+}
+
+module.exports = AutoMergeUtils;
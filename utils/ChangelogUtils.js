@@ -0,0 +1,87 @@
+const ImageUtils = require('./ImageUtils');
+
+// Commits listed per image in the PR body, the compare view has the rest
+const MAX_COMMITS = 20;
+
+class ChangelogUtils {
+
+  /**
+   * GitHub repository (owner/name) with the source code of an image: the source_repository of the input
+   * matrix entry, the one mapped to the image repository in source_repositories, or the repository_caller
+   * @param image - new image of the input matrix entry
+   * @param changelog - sourceRepository of the input matrix entry and sourceRepositories (source_repositories input)
+   * @param repositoryCaller - repository_caller of the input matrix entry, a repository name or owner/name
+   * @param defaultOwner - owner of a repository_caller without owner
+   * @returns {string|undefined} undefined if there is no source repository
+   */
+  static resolveSourceRepository(image, { sourceRepository, sourceRepositories = {} } = {}, repositoryCaller, defaultOwner) {
+    if (sourceRepository) return sourceRepository;
+    const { repository } = ImageUtils.parseImageReference(image);
+    if (sourceRepositories[repository]) return sourceRepositories[repository];
+    if (!repositoryCaller) return undefined;
+    return repositoryCaller.includes("/") ? repositoryCaller : `${defaultOwner}/${repositoryCaller}`;
+  }
+
+  /**
+   * Compares two image tags in the source repository, trying them as git tags as is and with a `v` prefix
+   * @returns {Promise<object|null>} see ghUtils.compareRefs, null if the tags are not found
+   */
+  static async compareTags(ghClient, sourceRepository, oldTag, newTag) {
+    for (const prefix of ["", "v"]) {
+      if (prefix && (oldTag.startsWith(prefix) || newTag.startsWith(prefix))) continue;
+      try {
+        return await ghClient.compareRefs(sourceRepository, prefix + oldTag, prefix + newTag);
+      } catch (e) {
+        if (e.status !== 404) throw e;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Markdown section listing the commits between the old and new tag of every updated image.
+   * Images whose tags can not be resolved are listed without commits
+   * @param ghClient
+   * @param entries - list of {image, sourceRepository, oldTag, newTag}, image being the image repository
+   * @returns {Promise<string>} empty if there are no entries
+   */
+  static async getChangelog(ghClient, entries) {
+    const distinct = new Map();
+    for (const entry of entries) {
+      distinct.set([entry.sourceRepository, entry.image, entry.oldTag, entry.newTag].join(" "), entry);
+    }
+    if (distinct.size === 0) return "";
+
+    let changelog = "\n### Changelog\n";
+    for (const { image, sourceRepository, oldTag, newTag } of distinct.values()) {
+      const title = `**${image}** \`${oldTag ?? "?"}\` → \`${newTag ?? "?"}\``;
+      if (!sourceRepository || !oldTag || !newTag) {
+        changelog += `${title}: changelog not available (unknown source repository or tags)\n`;
+        continue;
+      }
+
+      let comparison;
+      try {
+        comparison = await ChangelogUtils.compareTags(ghClient, sourceRepository, oldTag, newTag);
+      } catch (e) {
+        console.log(`Unable to compare ${oldTag}...${newTag} in ${sourceRepository}. ${e}`);
+      }
+      if (!comparison) {
+        changelog += `${title}: changelog not available (tags not found or not readable in ${sourceRepository})\n`;
+        continue;
+      }
+
+      changelog += `${title} ([compare](${comparison.url}))\n`;
+      // Newest commits first
+      for (const commit of [...comparison.commits].reverse().slice(0, MAX_COMMITS)) {
+        changelog += `- ${commit.sha.slice(0, 7)} ${commit.message}\n`;
+      }
+      if (comparison.totalCommits > MAX_COMMITS) {
+        changelog += `- _and ${comparison.totalCommits - MAX_COMMITS} more commits_\n`;
+      }
+    }
+    return changelog;
+  }
+}
+
+module.exports = ChangelogUtils;
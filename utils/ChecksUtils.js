@@ -0,0 +1,67 @@
+// Conclusions of check runs (and states of commit statuses) that make a required check pass or fail.
+// Any other one (e.g. an unknown conclusion) keeps the check pending
+const DEFAULT_CHECK_CONCLUSIONS = {
+  pass: ["success", "neutral", "skipped"],
+  fail: ["failure", "error", "cancelled", "timed_out", "action_required", "startup_failure", "stale"],
+};
+
+class ChecksUtils {
+
+  /**
+   * Converts check runs to {name, conclusion}, keeping only the latest run of every check name.
+   * Runs that are not completed yet have no conclusion
+   */
+  static fromCheckRuns(checkRuns) {
+    const latest = new Map();
+    for (const checkRun of [...checkRuns].sort((a, b) => b.id - a.id)) {
+      if (latest.has(checkRun.name)) continue;
+      latest.set(checkRun.name, {
+        name: checkRun.name,
+        conclusion: checkRun.status === "completed" ? checkRun.conclusion : undefined,
+      });
+    }
+    return [...latest.values()];
+  }
+
+  /**
+   * Converts the statuses of a combined commit status (already the latest per context) to {name, conclusion}
+   */
+  static fromCommitStatuses(statuses) {
+    return statuses.map(status => ({
+      name: status.context,
+      conclusion: status.state === "pending" ? undefined : status.state,
+    }));
+  }
+
+  /**
+   * Evaluates the required checks against the checks reported for a commit
+   * @param requiredNames - names of the check runs or commit status contexts that must pass
+   * @param checks - list of {name, conclusion}, see fromCheckRuns and fromCommitStatuses
+   * @param conclusions - {pass, fail} lists of conclusions, DEFAULT_CHECK_CONCLUSIONS by default
+   * @returns {{state: string, failed: string[], pending: string[]}} state is passed, failed or pending.
+   * Missing checks are pending
+   */
+  static evaluate(requiredNames, checks, conclusions = DEFAULT_CHECK_CONCLUSIONS) {
+    const pass = conclusions.pass ?? DEFAULT_CHECK_CONCLUSIONS.pass;
+    const fail = conclusions.fail ?? DEFAULT_CHECK_CONCLUSIONS.fail;
+    const failed = [];
+    const pending = [];
+
+    for (const name of requiredNames) {
+      const reported = checks.filter(check => check.name === name);
+      if (reported.some(check => fail.includes(check.conclusion))) {
+        failed.push(name);
+      } else if (reported.length === 0 || !reported.every(check => pass.includes(check.conclusion))) {
+        pending.push(name);
+      }
+    }
+
+    let state = "passed";
+    if (failed.length > 0) state = "failed";
+    else if (pending.length > 0) state = "pending";
+    return { state, failed, pending };
+  }
+}
+
+module.exports = ChecksUtils;
+module.exports.DEFAULT_CHECK_CONCLUSIONS = DEFAULT_CHECK_CONCLUSIONS;
@@ -0,0 +1,81 @@
+// Locations GitHub reads the CODEOWNERS file from, by precedence
+const CODEOWNERS_PATHS = [".github/CODEOWNERS", "CODEOWNERS", "docs/CODEOWNERS"];
+
+class CodeownersUtils {
+
+  /**
+   * Parses a CODEOWNERS file into its rules, in file order. Owners are users or teams (org/team)
+   * without the leading @, owners given by email are left out as they can not be requested as reviewers
+   * @returns {Array<{pattern: string, regex: RegExp, owners: string[]}>}
+   */
+  static parse(content) {
+    const rules = [];
+    for (const line of content.split(/\r?\n/)) {
+      const [pattern, ...tokens] = line.replace(/\s#.*$/, "").trim().split(/\s+/);
+      if (!pattern || pattern.startsWith("#")) continue;
+      const owners = tokens
+        .filter(token => token.startsWith("@"))
+        .map(token => token.slice(1));
+      rules.push({ pattern, regex: CodeownersUtils.patternToRegex(pattern), owners });
+    }
+    return rules;
+  }
+
+  /**
+   * Converts a CODEOWNERS (gitignore style) pattern to a regex matching the paths it owns. Patterns
+   * without a slash match at any depth and patterns matching a folder also match everything inside it,
+   * except for patterns ending in a single `*`
+   */
+  static patternToRegex(pattern) {
+    const trimmed = pattern.replace(/^\//, "").replace(/\/$/, "");
+    const anchored = pattern.startsWith("/") || trimmed.includes("/");
+
+    let regex = "";
+    for (let i = 0; i < trimmed.length; i++) {
+      const char = trimmed[i];
+      if (char === "*" && trimmed[i + 1] === "*") {
+        if (trimmed[i + 2] === "/") {
+          regex += "(?:.*/)?";
+          i += 2;
+        } else {
+          regex += ".*";
+          i += 1;
+        }
+      } else if (char === "*") {
+        regex += "[^/]*";
+      } else if (char === "?") {
+        regex += "[^/]";
+      } else {
+        regex += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }
+    }
+
+    const insideFolder = /(^|[^*])\*$/.test(trimmed) ? "" : "(?:/.*)?";
+    return new RegExp(`^${anchored ? "" : "(?:.*/)?"}${regex}${insideFolder}$`);
+  }
+
+  /**
+   * Owners of a file: the ones of the last rule matching its path, as in GitHub
+   * @param rules - see parse
+   * @param filePath - path relative to the repository root
+   * @returns {string[]}
+   */
+  static getOwners(rules, filePath) {
+    const matching = rules.filter(rule => rule.regex.test(filePath));
+    return matching.length === 0 ? [] : matching[matching.length - 1].owners;
+  }
+
+  /**
+   * Reads the rules of the CODEOWNERS file of the repository at ref
+   * @returns {Promise<Array<object>>} see parse, empty if the repository has no CODEOWNERS file
+   */
+  static async load(ghClient, ref) {
+    for (const filePath of CODEOWNERS_PATHS) {
+      const content = await ghClient.getFileContent(filePath, ref);
+      if (content !== null) return CodeownersUtils.parse(content);
+    }
+    return [];
+  }
+}
+
+module.exports = CodeownersUtils;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { BranchLeaseError } = require('./GitUtils.js');
+
+/**
+ * Same interface as gitUtils, but backed by the GitHub API instead of a local clone.
+ * Only the folders requested with checkoutPaths are downloaded (to workDir), and commits
+ * are created with the git data API, so GitHub signs them
+ */
+class ghGitUtils {
+
+  /**
+   * @param ghClient - GitHub client (see GhUtils)
+   * @param workDir - local folder where the downloaded files are edited
+   */
+  constructor(ghClient, workDir) {
+    this.ghClient = ghClient;
+    this.workDir = workDir;
+    this.branch = null;
+    this.headSha = null;
+  }
+
+  // Commits are authored by the owner of the token
+  async configUser() {}
+
+  // There are no local changes to keep
+  async stash() {}
+
+  async checkout(branch) {
+    this.branch = branch;
+  }
+
+  async resetHard(ref) {
+    const sha = await this.ghClient.getBranchSha(ref);
+    if (sha === null) throw new Error(`Branch ${ref} does not exist`);
+    this.headSha = sha;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the branch does not exist in the remote
+   */
+  async fetch(branch) {
+    return (await this.ghClient.getBranchSha(branch)) !== null;
+  }
+
+  async revParse(ref) {
+    if (ref === 'HEAD') return this.headSha;
+    return await this.ghClient.getBranchSha(ref);
+  }
+
+  /**
+   * Lists the commits reachable from head but not from base, oldest first
+   */
+  async listCommits(base, head) {
+    return await this.ghClient.compareCommits(base, head);
+  }
+
+  async cherryPick() {
+    throw new Error('Keeping commits not made by the automation (rebase policy) is only supported with commit_mode git');
+  }
+
+  /**
+   * Downloads the files of the given folders at ref into workDir
+   */
+  async checkoutPaths(ref, folders) {
+    for (const folder of folders) {
+      const files = await this.ghClient.getDirectoryFiles(folder, ref);
+      fs.mkdirSync(path.join(this.workDir, folder), { recursive: true });
+      for (const [filePath, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(this.workDir, filePath), content);
+      }
+    }
+  }
+
+  /**
+   * Names of the subdirectories of a folder at ref
+   */
+  async listDirectories(ref, folder) {
+    return await this.ghClient.getSubdirectories(folder, ref);
+  }
+
+  remoteRef(branch) {
+    return branch;
+  }
+
+  /**
+   * Commits the given paths of workDir on top of the current head
+   */
+  async commit(message, paths) {
+    const files = {};
+    for (const filePath of paths) {
+      files[filePath] = fs.readFileSync(path.join(this.workDir, filePath), 'utf8');
+    }
+    this.headSha = await this.ghClient.createCommit(message, this.headSha, files);
+  }
+
+  /**
+   * Moves the branch to the current head. With lease, the branch is only moved if it still points
+   * to that sha (an empty lease means the branch must not exist). The refs API has no atomic
+   * compare-and-swap, so the lease is checked right before the update
+   */
+  async push(branch, { force = false, lease = undefined } = {}) {
+    if (lease !== undefined) {
+      const currentSha = await this.ghClient.getBranchSha(branch);
+      if (currentSha !== (lease || null)) throw new BranchLeaseError(branch);
+    }
+    try {
+      await this.ghClient.setBranchSha(branch, this.headSha, force || lease !== undefined);
+    } catch (e) {
+      // A branch created by someone else after the lease check
+      if (lease === '' && e.status === 422) throw new BranchLeaseError(branch);
+      throw e;
+    }
+  }
+}
+
+module.exports = ghGitUtils;
@@ -0,0 +1,140 @@
+// Server errors worth retrying, the request may succeed on the next attempt
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+
+// POST requests that can be safely sent again after a server error, the rest of methods are idempotent
+const IDEMPOTENT_POSTS = [
+  "POST /repos/{owner}/{repo}/labels",
+  "POST /repos/{owner}/{repo}/pulls/{pull_number}/requested_reviewers",
+  "POST /graphql",
+];
+
+// Validation errors meaning that what the request asked for is already done, e.g. by a previous attempt
+// whose response was lost or by a concurrent run. They are answered as a success
+const ALREADY_DONE = [
+  { route: "POST /repos/{owner}/{repo}/labels", code: "already_exists" },
+];
+
+/**
+ * Request layer shared by every GitHub API call: retries rate-limited requests and transient errors with
+ * backoff, honoring the retry-after and x-ratelimit-reset headers, and keeps track of the rate-limit budget
+ */
+class GhRequestUtils {
+
+  /**
+   * @param core - @actions/core, used for logging
+   * @param options - retries: attempts after the first one, minDelay and maxDelay: bounds of the waits (ms),
+   * a rate limit that resets later than maxDelay is not waited for, lowBudget: share of the rate limit under
+   * which a warning is logged
+   * @param sleep - waits the given ms, setTimeout by default
+   */
+  constructor(core, { retries = 3, minDelay = 1000, maxDelay = 60000, lowBudget = 0.1 } = {}, sleep = undefined) {
+    this.core = core;
+    this.retries = retries;
+    this.minDelay = minDelay;
+    this.maxDelay = maxDelay;
+    this.lowBudget = lowBudget;
+    this.sleep = sleep ?? (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    // Latest rate-limit headers received, {limit, remaining, reset} (reset in epoch seconds)
+    this.rateLimit = undefined;
+    this.lowBudgetWarned = false;
+  }
+
+  /**
+   * Sends every request of an octokit instance through this layer
+   */
+  install(octokit) {
+    octokit.hook.wrap("request", (request, options) => this.request(request, options));
+    return octokit;
+  }
+
+  static getRoute(options) {
+    return `${options.method} ${options.url}`;
+  }
+
+  async request(request, options) {
+    const route = GhRequestUtils.getRoute(options);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request(options);
+        this.trackRateLimit(response.headers);
+        return response;
+      } catch (error) {
+        this.trackRateLimit(error.response?.headers);
+        if (GhRequestUtils.isAlreadyDone(route, error)) {
+          this.core.info(`${route} was already done: ${error.message}`);
+          return { status: 200, url: error.request?.url, headers: error.response?.headers ?? {}, data: error.response?.data };
+        }
+        const delay = attempt < this.retries ? this.getRetryDelay(route, error, attempt) : undefined;
+        if (delay === undefined) throw error;
+        this.core.info(`${route} failed (${error.status} ${error.message}), retrying in ${Math.ceil(delay / 1000)}s`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Time to wait before retrying a failed request:
+   *  - rate limits (429, or 403 of a secondary rate limit or an exhausted budget) wait for retry-after or
+   *    x-ratelimit-reset, with exponential backoff when the response has neither
+   *  - transient errors (5xx and network errors) wait with exponential backoff, POST requests only when they
+   *    are idempotent
+   * @returns {number|undefined} ms, undefined when the request must not be retried
+   */
+  getRetryDelay(route, error, attempt) {
+    const backoff = Math.min(this.minDelay * 2 ** attempt, this.maxDelay);
+    const headers = error.response?.headers ?? {};
+
+    if (GhRequestUtils.isRateLimited(error)) {
+      let delay = backoff;
+      if (headers["retry-after"] !== undefined) {
+        delay = Number(headers["retry-after"]) * 1000;
+      } else if (headers["x-ratelimit-remaining"] === "0" && headers["x-ratelimit-reset"] !== undefined) {
+        delay = Number(headers["x-ratelimit-reset"]) * 1000 - Date.now();
+      }
+      if (!Number.isFinite(delay) || delay > this.maxDelay) return undefined;
+      return Math.max(delay, this.minDelay);
+    }
+
+    const transient = error.status === undefined || TRANSIENT_STATUSES.includes(error.status);
+    if (transient && (!route.startsWith("POST ") || IDEMPOTENT_POSTS.includes(route))) return backoff;
+    return undefined;
+  }
+
+  static isRateLimited(error) {
+    if (error.status === 429) return true;
+    if (error.status !== 403) return false;
+    return error.response?.headers?.["x-ratelimit-remaining"] === "0" ||
+      error.response?.headers?.["retry-after"] !== undefined ||
+      /secondary rate limit|abuse/i.test(error.message);
+  }
+
+  static isAlreadyDone(route, error) {
+    if (error.status !== 422) return false;
+    const codes = (error.response?.data?.errors ?? []).map(e => e.code);
+    return ALREADY_DONE.some(rule => rule.route === route && codes.includes(rule.code));
+  }
+
+  /**
+   * Keeps the latest rate-limit budget, warning once when it runs low
+   */
+  trackRateLimit(headers) {
+    if (headers?.["x-ratelimit-remaining"] === undefined) return;
+    this.rateLimit = {
+      limit: Number(headers["x-ratelimit-limit"]),
+      remaining: Number(headers["x-ratelimit-remaining"]),
+      reset: Number(headers["x-ratelimit-reset"]),
+    };
+    if (!this.lowBudgetWarned && this.rateLimit.remaining < this.rateLimit.limit * this.lowBudget) {
+      this.lowBudgetWarned = true;
+      this.core.warning(`GitHub API rate limit running low: ${this.describeRateLimit()}`);
+    }
+  }
+
+  describeRateLimit() {
+    if (this.rateLimit === undefined) return "unknown";
+    const { limit, remaining, reset } = this.rateLimit;
+    return `${remaining}/${limit} requests left, resets at ${new Date(reset * 1000).toISOString()}`;
+  }
+}
+
+module.exports = GhRequestUtils;
@@ -12,6 +12,10 @@ class ghUtils {
     return `https://github.com/${this.repoOwner}/${this.context.repo.repo}/actions/runs/${this.context.runId}`
   }
 
+  getPrUrl(prNumber) {
+    return `https://github.com/${this.repoOwner}/${this.repoName}/pull/${prNumber}`
+  }
+
   getDefaultBranch() {
     return this.repoDefaultBranch
   }
@@ -41,25 +45,158 @@ class ghUtils {
     return await this.octokit.rest.pulls.update(prInputs);
   }
 
-  async prAddReviewers(prNumber, reviewers){
+  async prAddReviewers(prNumber, reviewers, teamReviewers = []){
     const addReviewersInputs = {
       owner: this.repoOwner,
       repo: this.repoName,
       pull_number: prNumber,
-      reviewers: reviewers // string array ["rv1", "rv2"]
+      reviewers: reviewers, // string array ["rv1", "rv2"]
+      team_reviewers: teamReviewers // team slugs of the repository owner ["team1"]
     }
     return await this.octokit.rest.pulls.requestReviewers(addReviewersInputs);
   }
 
-  async mergePr(prNumber){
-    const mergePrInputs = {
+  /**
+   * Login of the user that opened a PR
+   */
+  async getPrAuthor(prNumber) {
+    const ghResponse = await this.octokit.rest.pulls.get({
       owner: this.repoOwner,
       repo: this.repoName,
       pull_number: prNumber
+    });
+    return ghResponse.data.user?.login;
+  }
+
+  /**
+   * Whether a user is a collaborator of the repository, and so can be requested as reviewer
+   */
+  async isCollaborator(username) {
+    try {
+      await this.octokit.rest.repos.checkCollaborator({
+        owner: this.repoOwner,
+        repo: this.repoName,
+        username
+      });
+      return true;
+    } catch (e) {
+      if (e.status === 404) return false;
+      throw e;
+    }
+  }
+
+  /**
+   * Merges a PR
+   * @param prNumber
+   * @param options - mergeMethod (merge, squash or rebase), commitTitle, commitMessage and sha, the
+   * head sha the PR must still have to be merged. GitHub defaults are used for the missing ones
+   */
+  async mergePr(prNumber, { mergeMethod, commitTitle, commitMessage, sha } = {}){
+    const mergePrInputs = {
+      owner: this.repoOwner,
+      repo: this.repoName,
+      pull_number: prNumber,
+      merge_method: mergeMethod,
+      commit_title: commitTitle,
+      commit_message: commitMessage,
+      sha
     }
     return await this.octokit.rest.pulls.merge(mergePrInputs);
   }
 
+  /**
+   * Enables GitHub native auto-merge, so GitHub merges the PR once its required checks pass.
+   * Fails if auto-merge is not allowed in the repository or if the PR can already be merged
+   * @param prNumber
+   * @param options - same as mergePr
+   */
+  async enablePrAutoMerge(prNumber, { mergeMethod = 'merge', commitTitle, commitMessage, sha } = {}) {
+    const ghResponse = await this.octokit.rest.pulls.get({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      pull_number: prNumber
+    });
+    const graphQLMutation = `mutation($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!, $commitHeadline: String, $commitBody: String, $expectedHeadOid: GitObjectID){
+      enablePullRequestAutoMerge(input: {
+        pullRequestId: $pullRequestId,
+        mergeMethod: $mergeMethod,
+        commitHeadline: $commitHeadline,
+        commitBody: $commitBody,
+        expectedHeadOid: $expectedHeadOid
+      }) {
+        pullRequest {
+          number
+        }
+      }
+    }`;
+    return await this.octokit.graphql(graphQLMutation, {
+      pullRequestId: ghResponse.data.node_id,
+      mergeMethod: mergeMethod.toUpperCase(),
+      commitHeadline: commitTitle,
+      commitBody: commitMessage,
+      expectedHeadOid: sha
+    });
+  }
+
+  /**
+   * Number of users whose latest review of the PR is an approval
+   */
+  async getPrApprovals(prNumber) {
+    const reviews = await this.octokit.paginate(
+      this.octokit.rest.pulls.listReviews,
+      {
+        owner: this.repoOwner,
+        repo: this.repoName,
+        pull_number: prNumber,
+        per_page: 100
+      },
+      (response) => response.data
+    )
+    const latestStates = {}
+    for (const review of reviews) {
+      // Comments do not change the approval state of a reviewer
+      if (review.state !== 'COMMENTED') latestStates[review.user?.login] = review.state
+    }
+    return Object.values(latestStates).filter(state => state === 'APPROVED').length
+  }
+
+  async deleteBranch(branch) {
+    return await this.octokit.rest.git.deleteRef({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      ref: `heads/${branch}`
+    });
+  }
+
+  /**
+   * Returns every check run of a ref
+   */
+  async getCheckRuns(ref) {
+    return await this.octokit.paginate(
+      this.octokit.rest.checks.listForRef,
+      {
+        owner: this.repoOwner,
+        repo: this.repoName,
+        ref,
+        per_page: 100
+      },
+      (response) => response.data
+    )
+  }
+
+  /**
+   * Returns the latest commit status of every context of a ref
+   */
+  async getCommitStatuses(ref) {
+    const ghResponse = await this.octokit.rest.repos.getCombinedStatusForRef({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      ref,
+      per_page: 100
+    });
+    return ghResponse.data.statuses;
+  }
+
   async setPRLabels(prNumber, labels) {
     const inputs = {
       owner: this.repoOwner,
@@ -70,80 +207,241 @@ class ghUtils {
     return await this.octokit.rest.issues.setLabels(inputs);
   }
 
-  async createLabel(newLabel) {
-    let selectedColor = "7e7c7a"
-    if (newLabel.includes('app/')){
-      selectedColor = 'ac1d1c'
-    } else if (newLabel.includes('tenant/')) {
-      selectedColor = '234099'
-    } else if (newLabel.includes('env/')) {
-      selectedColor = '33810b'
-    } else if (newLabel.includes('service/')) {
-      selectedColor = 'f1c232'
-    }
+  async createLabel(name, color, description = "") {
     const inputs = {
       owner: this.repoOwner,
       repo: this.repoName,
-      name: newLabel,
-      color: selectedColor,
+      name,
+      color,
+      description,
     }
     return await this.octokit.rest.issues.createLabel(inputs);
   }
 
+  async updateLabel(name, color, description = "") {
+    const inputs = {
+      owner: this.repoOwner,
+      repo: this.repoName,
+      name,
+      color,
+      description,
+    }
+    return await this.octokit.rest.issues.updateLabel(inputs);
+  }
+
+  async deleteLabel(name) {
+    return await this.octokit.rest.issues.deleteLabel({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      name,
+    });
+  }
+
+  /**
+   * Returns every label of the repository with its name, color and description
+   */
   async getRepoLabels() {
     const inputs = {
       owner: this.repoOwner,
       repo: this.repoName,
       per_page: 100,
     }
-    const ghResponse = await this.octokit.paginate(
+    const labels = await this.octokit.paginate(
       this.octokit.rest.issues.listLabelsForRepo,
-      inputs
+      inputs,
+      (response) => response.data
+    )
+    return labels.map(({ name, color, description }) => ({ name, color, description: description ?? "" }));
+  }
+
+  /**
+   * Returns the names of the labels set in any open issue or PR of the repository
+   */
+  async getOpenIssueLabels() {
+    const issues = await this.octokit.paginate(
+      this.octokit.rest.issues.listForRepo,
+      {
+        owner: this.repoOwner,
+        repo: this.repoName,
+        state: 'open',
+        per_page: 100
+      },
+      (response) => response.data
     )
-    return ghResponse.data.map(labelObj => labelObj.name);
+    return [...new Set(issues.flatMap(issue => issue.labels.map(label => typeof label === 'string' ? label : label.name)))];
+  }
+
+  /**
+   * Returns the sha of the last commit of a branch, null if the branch does not exist
+   */
+  async getBranchSha(branch) {
+    try {
+      const ghResponse = await this.octokit.rest.git.getRef({
+        owner: this.repoOwner,
+        repo: this.repoName,
+        ref: `heads/${branch}`
+      });
+      return ghResponse.data.object.sha;
+    } catch (e) {
+      if (e.status === 404) return null;
+      throw e;
+    }
   }
 
-  async checkIfRepoLabelExists(label) {
-    const variables = {
+  /**
+   * Lists the commits reachable from head but not from base, oldest first
+   * @returns {Promise<Array<{sha: string, authorName: string, authorEmail: string, authorLogin: string}>>}
+   */
+  async compareCommits(base, head) {
+    const ghResponse = await this.octokit.rest.repos.compareCommitsWithBasehead({
       owner: this.repoOwner,
       repo: this.repoName,
-      labelName: label,
+      basehead: `${base}...${head}`,
+      per_page: 100
+    });
+    return ghResponse.data.commits.map(commit => ({
+      sha: commit.sha,
+      authorName: commit.commit.author?.name,
+      authorEmail: commit.commit.author?.email,
+      authorLogin: commit.author?.login
+    }));
+  }
+
+  /**
+   * Compares two refs of any repository the token can read
+   * @param repository - owner/name
+   * @returns {Promise<{url: string, totalCommits: number, commits: Array<{sha: string, message: string}>}>}
+   * commits are oldest first and their message is only the first line
+   */
+  async compareRefs(repository, base, head) {
+    const [owner, repo] = repository.split('/');
+    const ghResponse = await this.octokit.rest.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${base}...${head}`
+    });
+    return {
+      url: ghResponse.data.html_url,
+      totalCommits: ghResponse.data.total_commits,
+      commits: ghResponse.data.commits.map(commit => ({ sha: commit.sha, message: commit.commit.message.split('\n')[0] }))
+    };
+  }
+
+  /**
+   * Returns the content of a file, null if it does not exist
+   */
+  async getFileContent(filePath, ref) {
+    try {
+      const ghResponse = await this.octokit.rest.repos.getContent({
+        owner: this.repoOwner,
+        repo: this.repoName,
+        path: filePath,
+        ref
+      });
+      return Buffer.from(ghResponse.data.content, 'base64').toString('utf8');
+    } catch (e) {
+      if (e.status === 404) return null;
+      throw e;
     }
-    const graphQLQuery = `query($owner: String!, $repo: String!, $labelName: String!){
-      repository(owner: $owner, name: $repo){
-        labels(query: $labelName, first: 1) {
-          edges {
-            node {
-              name
-            }
-          }
-        }
-      }
-    }`;
-    const ghResponse = await this.octokit.graphql(graphQLQuery, variables);
-    return ghResponse.repository.labels.edges.length > 0;
   }
 
-  async createAndSetLabels(prNumber, labels) {
-    for (const label of labels) {
-      const labelExists = await this.checkIfRepoLabelExists(label)
-      if (!labelExists) {
-        await this.createLabel(label)
-      }
+  /**
+   * Returns the content of every file (not recursive) of a directory, indexed by path.
+   * A missing directory has no files
+   */
+  async getDirectoryFiles(dirPath, ref) {
+    const inputs = {
+      owner: this.repoOwner,
+      repo: this.repoName,
+      path: dirPath,
+      ref
+    }
+    let entries = []
+    try {
+      entries = (await this.octokit.rest.repos.getContent(inputs)).data;
+    } catch (e) {
+      if (e.status === 404) return {};
+      throw e;
     }
-    return await this.setPRLabels(prNumber, labels)
+
+    const files = {}
+    for (const entry of [].concat(entries).filter(entry => entry.type === 'file')) {
+      const ghResponse = await this.octokit.rest.repos.getContent({ ...inputs, path: entry.path });
+      files[entry.path] = Buffer.from(ghResponse.data.content, 'base64').toString('utf8');
+    }
+    return files
   }
 
   /**
-   * This function return a dict where the key is the branch name of the pr and the value is the PR number
-   * It is used to determine if a branch already has an open pr
+   * Returns the names of the subdirectories of a directory. A missing directory has none
    */
-  async getOpenPRs() {
+  async getSubdirectories(dirPath, ref) {
+    let entries = []
+    try {
+      entries = (await this.octokit.rest.repos.getContent({
+        owner: this.repoOwner,
+        repo: this.repoName,
+        path: dirPath,
+        ref
+      })).data;
+    } catch (e) {
+      if (e.status === 404) return [];
+      throw e;
+    }
+    return [].concat(entries).filter(entry => entry.type === 'dir').map(entry => entry.name)
+  }
+
+  /**
+   * Creates a commit on top of baseSha with the given files ({path: content}).
+   * As no author is set, GitHub signs the commit and it is shown as verified
+   * @returns {Promise<string>} sha of the new commit
+   */
+  async createCommit(message, baseSha, files) {
+    const treeResponse = await this.octokit.rest.git.createTree({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      base_tree: baseSha,
+      tree: Object.entries(files).map(([path, content]) => ({ path, mode: '100644', type: 'blob', content }))
+    });
+    const commitResponse = await this.octokit.rest.git.createCommit({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      message,
+      tree: treeResponse.data.sha,
+      parents: [baseSha]
+    });
+    return commitResponse.data.sha;
+  }
+
+  /**
+   * Points a branch to a commit, creating the branch if it does not exist
+   */
+  async setBranchSha(branch, sha, force = false) {
     const inputs = {
       owner: this.repoOwner,
       repo: this.repoName,
-      state: 'open',
-      per_page: 1
+      sha
+    }
+    if (await this.getBranchSha(branch) === null) {
+      return await this.octokit.rest.git.createRef({ ...inputs, ref: `refs/heads/${branch}` });
+    }
+    return await this.octokit.rest.git.updateRef({ ...inputs, ref: `heads/${branch}`, force });
+  }
+
+  /**
+   * Returns the PRs (open and closed) whose head is a branch of this repository, newest first.
+   * They are queried by head, so it takes a single call whatever the number of PRs in the repository
+   * @returns {Promise<Array<{number: number, state: string, merged: boolean}>>}
+   */
+  async getBranchPRs(branchName) {
+    const inputs = {
+      owner: this.repoOwner,
+      repo: this.repoName,
+      head: `${this.repoOwner}:${branchName}`,
+      state: 'all',
+      sort: 'created',
+      direction: 'desc',
+      per_page: 100
     }
     try {
       const ghResponse = await this.octokit.paginate(
@@ -151,27 +449,103 @@ class ghUtils {
           inputs,
           (response) => response.data
       )
-      const openPRs = {}
-      ghResponse.forEach(pr => openPRs[pr.head.ref] = pr.number)
-      return openPRs
+      return ghResponse.map(pr => ({ number: pr.number, state: pr.state, merged: pr.merged_at !== null }))
     } catch (e) {
-      throw new Error(`Error trying to read open pull request with inputs=${JSON.stringify(inputs)} E: ${e}`)
+      throw new Error(`Error trying to read the pull requests with inputs=${JSON.stringify(inputs)} E: ${e}`)
     }
   }
 
+  async reopenPr(prNumber) {
+    return await this.octokit.rest.pulls.update({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      pull_number: prNumber,
+      state: 'open'
+    });
+  }
+
+  /**
+   * Returns the open PRs whose head is a branch of this repository
+   * @returns {Promise<Array<{number: number, branch: string, headSha: string, labels: string[], updatedAt: string}>>}
+   */
+  async getOpenPRs() {
+    const prs = await this.octokit.paginate(
+      this.octokit.rest.pulls.list,
+      {
+        owner: this.repoOwner,
+        repo: this.repoName,
+        state: 'open',
+        per_page: 100
+      },
+      (response) => response.data
+    )
+    return prs
+      .filter(pr => pr.head.repo?.full_name === `${this.repoOwner}/${this.repoName}`)
+      .map(pr => ({
+        number: pr.number,
+        branch: pr.head.ref,
+        headSha: pr.head.sha,
+        labels: pr.labels.map(label => label.name),
+        updatedAt: pr.updated_at
+      }))
+  }
+
+  /**
+   * Returns the paths of the files changed in a PR
+   */
+  async getPrFiles(prNumber) {
+    const files = await this.octokit.paginate(
+      this.octokit.rest.pulls.listFiles,
+      {
+        owner: this.repoOwner,
+        repo: this.repoName,
+        pull_number: prNumber,
+        per_page: 100
+      },
+      (response) => response.data
+    )
+    return files.map(file => file.filename)
+  }
+
+  /**
+   * Returns the sha of the best common ancestor of two refs
+   */
+  async getMergeBase(base, head) {
+    const ghResponse = await this.octokit.rest.repos.compareCommitsWithBasehead({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      basehead: `${base}...${head}`,
+      per_page: 1
+    });
+    return ghResponse.data.merge_base_commit.sha;
+  }
+
+  async commentPr(prNumber, body) {
+    return await this.octokit.rest.issues.createComment({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      issue_number: prNumber,
+      body
+    });
+  }
+
+  async closePr(prNumber) {
+    return await this.octokit.rest.pulls.update({
+      owner: this.repoOwner,
+      repo: this.repoName,
+      pull_number: prNumber,
+      state: 'closed'
+    });
+  }
+
   /**
    * Return 0 is there is no PR opened for that branch, PR number otherwise
    * @param branchName
    * @returns {Promise<number|*>}
    */
   async branchHasOpenPR(branchName) {
-    const openPRs = await this.getOpenPRs()
-    for (const openPRname in openPRs) {
-      if (openPRname === branchName) {
-        return openPRs[openPRname]
-      }
-    }
-    return 0
+    const openPR = (await this.getBranchPRs(branchName)).find(pr => pr.state === 'open')
+    return openPR?.number ?? 0
   }
 
 }
@@ -0,0 +1,158 @@
+const exec = require('@actions/exec');
+const fs = require('fs');
+const path = require('path');
+
+class BranchLeaseError extends Error {
+  constructor(branch) {
+    super(`Branch ${branch} was updated by someone else while this run was working on it ` +
+      `(is another workflow run updating the same branch?). Nothing was pushed, re-run the action to retry`);
+    this.name = "BranchLeaseError";
+  }
+}
+
+/**
+ * Thin wrapper over the git cli. Arguments are passed as an array, so branch names and
+ * paths are never interpreted by a shell
+ */
+class gitUtils {
+
+  /**
+   * @param options - @actions/exec options (e.g. cwd, silent) used for every git command
+   * @param remote - name of the remote branches are fetched from and pushed to
+   */
+  constructor(options = {}, remote = 'origin') {
+    this.options = options;
+    this.remote = remote;
+    // The state repo files are read from and written to the working tree of the clone
+    this.workDir = options.cwd ?? '';
+  }
+
+  async git(...args) {
+    return await exec.exec('git', args, this.options);
+  }
+
+  async gitOutput(...args) {
+    const { stdout } = await exec.getExecOutput('git', args, { ...this.options, silent: true });
+    return stdout.trim();
+  }
+
+  async configUser(name, email) {
+    await this.git('config', '--global', 'user.name', name);
+    await this.git('config', '--global', 'user.email', email);
+  }
+
+  async stash() {
+    await this.git('stash');
+  }
+
+  /**
+   * Checks out a branch. With create, the branch is created (or reset if it already exists locally)
+   */
+  async checkout(branch, { create = false } = {}) {
+    if (create) {
+      await this.git('checkout', '-B', branch);
+    } else {
+      await this.git('checkout', branch);
+    }
+  }
+
+  async resetHard(ref) {
+    await this.git('reset', '--hard', ref);
+  }
+
+  /**
+   * Fetches a branch from the remote
+   * @returns {Promise<boolean>} false if the branch does not exist in the remote
+   */
+  async fetch(branch) {
+    try {
+      await this.git('fetch', this.remote, branch);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * The working tree of a clone already has every path, so there is nothing to download
+   */
+  async checkoutPaths() {}
+
+  /**
+   * Names of the subdirectories of a folder of the working tree, which already has the checked out ref.
+   * Hidden ones (e.g. .git) are left out
+   */
+  async listDirectories(ref, folder) {
+    const dirPath = path.join(this.workDir, folder);
+    if (!fs.existsSync(dirPath)) return [];
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  remoteRef(branch) {
+    return `${this.remote}/${branch}`;
+  }
+
+  async revParse(ref) {
+    return await this.gitOutput('rev-parse', ref);
+  }
+
+  /**
+   * Lists the commits reachable from head but not from base, oldest first
+   * @returns {Promise<Array<{sha: string, authorName: string, authorEmail: string}>>}
+   */
+  async listCommits(base, head) {
+    const log = await this.gitOutput('log', '--reverse', '--format=%H%x09%an%x09%ae', `${base}..${head}`);
+    return log.split('\n').filter(line => line.length > 0).map(line => {
+      const [sha, authorName, authorEmail] = line.split('\t');
+      return { sha, authorName, authorEmail };
+    });
+  }
+
+  /**
+   * Applies the given commits on top of the current branch, the cherry-pick is aborted if any of them conflicts
+   */
+  async cherryPick(shas) {
+    try {
+      await this.git('cherry-pick', ...shas);
+    } catch (e) {
+      await this.git('cherry-pick', '--abort');
+      throw new Error(`Unable to cherry-pick commits ${shas.join(', ')}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Stages only the given paths and commits them
+   */
+  async commit(message, paths) {
+    await this.git('add', '--', ...paths);
+    await this.git('commit', '-m', message);
+  }
+
+  /**
+   * Pushes a branch. With lease, the remote branch is only overwritten if it still points to
+   * that sha (an empty lease means the branch must not exist in the remote)
+   */
+  async push(branch, { force = false, lease = undefined } = {}) {
+    const args = ['push'];
+    if (lease !== undefined) {
+      args.push(`--force-with-lease=refs/heads/${branch}:${lease}`);
+    } else if (force) {
+      args.push('--force');
+    }
+    const { exitCode, stderr } = await exec.getExecOutput(
+      'git', [...args, this.remote, branch], { ...this.options, ignoreReturnCode: true }
+    );
+    if (exitCode !== 0) {
+      if (lease !== undefined && stderr.includes("stale info")) {
+        throw new BranchLeaseError(branch);
+      }
+      throw new Error(`Unable to push branch ${branch}: ${stderr.trim()}`);
+    }
+  }
+}
+
+module.exports = gitUtils;
+module.exports.BranchLeaseError = BranchLeaseError;
@@ -0,0 +1,85 @@
+const ImageUtils = require('./ImageUtils');
+const RegistryUtils = require('./RegistryUtils');
+
+// Grammar of the distribution (docker) image references
+const DOMAIN_REGEX = /^(?:localhost|[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+|[a-zA-Z0-9-]+:\d+|[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)+:\d+|localhost:\d+)$/;
+const PATH_COMPONENT_REGEX = /^[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*$/;
+const TAG_REGEX = /^[\w][\w.-]{0,127}$/;
+const DIGEST_REGEX = /^[A-Za-z][A-Za-z0-9]*(?:[-_+.][A-Za-z][A-Za-z0-9]*)*:[0-9a-fA-F]{32,}$/;
+
+class ImagePolicyError extends Error {
+  constructor(prInputs, violations) {
+    super(`Image ${prInputs.newImage} of ${prInputs.tenant}/${prInputs.application}/${prInputs.environment} ` +
+      `is not allowed: ${violations.join(", ")}`);
+    this.name = "ImagePolicyError";
+    this.tenant = prInputs.tenant;
+    this.application = prInputs.application;
+    this.environment = prInputs.environment;
+    this.violations = violations;
+  }
+}
+
+class ImagePolicyUtils {
+
+  /**
+   * Checks that an image is a valid registry/repository:tag@digest reference
+   * @returns {string[]} What is wrong with the reference, empty if it is valid
+   */
+  static validateReference(image) {
+    if (typeof image !== "string" || image.trim() === "") return ["the image is empty"];
+    if (/\s/.test(image)) return ["the image has whitespaces"];
+
+    const errors = [];
+    const { repository, tag, digest } = ImageUtils.parseImageReference(image);
+    const components = repository.split("/");
+    // The first component is a registry host only if it looks like one, as docker does
+    if (components.length > 1 && (/[.:]/.test(components[0]) || components[0] === "localhost")) {
+      const domain = components.shift();
+      if (!DOMAIN_REGEX.test(domain)) errors.push(`invalid registry ${domain}`);
+    }
+    if (components.some(component => !PATH_COMPONENT_REGEX.test(component))) {
+      errors.push(`invalid repository ${components.join("/")} (only lowercase letters, digits and separators)`);
+    }
+    if (tag !== undefined && !TAG_REGEX.test(tag)) errors.push(`invalid tag ${tag}`);
+    if (digest !== undefined && !DIGEST_REGEX.test(digest)) errors.push(`invalid digest ${digest}`);
+    return errors;
+  }
+
+  /**
+   * Checks an image against the image policies of its coordinate
+   * @param prInputs - PullRequestInputs with the image (newImage) and its coordinate
+   * @param policies - see schemas/image_policies_schema.json
+   * @returns {string[]} The policy violations, empty if the image is allowed
+   */
+  static getViolations(prInputs, policies = {}) {
+    const referenceErrors = ImagePolicyUtils.validateReference(prInputs.newImage);
+    if (referenceErrors.length > 0) return referenceErrors;
+
+    const violations = [];
+    const { repository, tag, digest } = ImageUtils.parseImageReference(prInputs.newImage);
+
+    if (policies.disallow_latest && digest === undefined && (tag === undefined || tag === "latest")) {
+      violations.push("the latest tag is not allowed");
+    }
+
+    if (digest === undefined && (policies.require_digest_envs ?? []).includes(prInputs.environment)) {
+      violations.push(`images must be pinned to a digest in ${prInputs.environment}`);
+    }
+
+    const allowedRegistries = policies.allowed_registries?.[prInputs.tenant] ?? policies.allowed_registries?.["*"];
+    // Docker Hub repositories are compared in their full form, docker.io/tenant2 allows tenant2/app
+    const fullRepository = RegistryUtils.normalizeRepository(repository);
+    const isAllowed = prefix => {
+      const fullPrefix = RegistryUtils.normalizeRepository(prefix, true);
+      return fullRepository === fullPrefix || fullRepository.startsWith(`${fullPrefix}/`);
+    };
+    if (allowedRegistries && !allowedRegistries.some(isAllowed)) {
+      violations.push(`${repository} is not in the allowed registries of tenant ${prInputs.tenant}: ${allowedRegistries.join(", ")}`);
+    }
+
+    return violations;
+  }
+}
+
+module.exports = ImagePolicyUtils;
+module.exports.ImagePolicyError = ImagePolicyError;
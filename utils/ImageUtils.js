@@ -0,0 +1,251 @@
+const DEFAULT_IMAGE_PATH = "image";
+
+// Parts of an image reference that can be written to their own field
+const IMAGE_PARTS = ["repository", "tag", "digest"];
+
+class ImageUtils {
+
+  /**
+   * Splits an image reference like registry/repo:tag@digest into its parts
+   * @param image - full image reference
+   * @returns {{repository: string, tag: (string|undefined), digest: (string|undefined)}}
+   */
+  static parseImageReference(image) {
+    let rest = image;
+    let digest;
+    let tag;
+
+    const digestIndex = rest.indexOf("@");
+    if (digestIndex !== -1) {
+      digest = rest.slice(digestIndex + 1);
+      rest = rest.slice(0, digestIndex);
+    }
+
+    // A colon before the last slash belongs to the registry port, not to the tag
+    const tagIndex = rest.lastIndexOf(":");
+    if (tagIndex > rest.lastIndexOf("/")) {
+      tag = rest.slice(tagIndex + 1);
+      rest = rest.slice(0, tagIndex);
+    }
+
+    return { repository: rest, tag, digest };
+  }
+
+  /**
+   * Parses a path expression like `containers[name=proxy].image` or `image.tag`
+   * into a list of segments:
+   *  - string: map key
+   *  - number: sequence index
+   *  - {key, value}: first sequence item whose `key` equals `value`
+   */
+  static parsePath(pathExpression) {
+    const segments = [];
+    const tokenRegex = /([^.[\]]+)|\[([^\]]*)\]/g;
+    let match;
+    let lastIndex = 0;
+
+    while ((match = tokenRegex.exec(pathExpression)) !== null) {
+      const separator = pathExpression.slice(lastIndex, match.index);
+      if (separator !== "" && separator !== ".") {
+        throw new Error(`Invalid image path expression: ${pathExpression}`);
+      }
+      lastIndex = tokenRegex.lastIndex;
+
+      if (match[1] !== undefined) {
+        segments.push(match[1]);
+      } else if (/^\d+$/.test(match[2])) {
+        segments.push(Number(match[2]));
+      } else if (match[2].includes("=")) {
+        const [key, ...value] = match[2].split("=");
+        segments.push({ key: key.trim(), value: value.join("=").trim() });
+      } else {
+        throw new Error(`Invalid image path expression: ${pathExpression}`);
+      }
+    }
+
+    if (segments.length === 0 || lastIndex !== pathExpression.length) {
+      throw new Error(`Invalid image path expression: ${pathExpression}`);
+    }
+    return segments;
+  }
+
+  /**
+   * Returns the image path spec for a service. Matrix entry values take precedence over
+   * the ones in the state repo config file, and `*` applies to every service
+   * @param service - service name
+   * @param {...object} imagePathsList - maps of service name to image path spec, by precedence
+   * @returns {string|object} A path expression for the full image or {repository, tag, digest} paths
+   */
+  static resolveImagePath(service, ...imagePathsList) {
+    for (const imagePaths of imagePathsList) {
+      if (!imagePaths) continue;
+      if (imagePaths[service] !== undefined) return imagePaths[service];
+    }
+    for (const imagePaths of imagePathsList) {
+      if (!imagePaths) continue;
+      if (imagePaths["*"] !== undefined) return imagePaths["*"];
+    }
+    return DEFAULT_IMAGE_PATH;
+  }
+
+  /**
+   * Computes which fields have to be written for an image path spec
+   * @returns {Array<{path: string, value: string}>}
+   */
+  static getImageFields(imagePath, newImage) {
+    if (typeof imagePath === "string") {
+      return [{ path: imagePath, value: newImage }];
+    }
+
+    const imageParts = ImageUtils.parseImageReference(newImage);
+    const fields = [];
+    for (const part of IMAGE_PARTS) {
+      if (imagePath[part] === undefined) continue;
+      if (imageParts[part] === undefined) {
+        throw new Error(`Image ${newImage} has no ${part} but the ${part} path ${imagePath[part]} is configured`);
+      }
+      fields.push({ path: imagePath[part], value: imageParts[part] });
+    }
+
+    if (fields.length === 0) {
+      throw new Error(`Image path ${JSON.stringify(imagePath)} does not define any of: ${IMAGE_PARTS.join(", ")}`);
+    }
+    return fields;
+  }
+
+  /**
+   * Rebuilds the full image reference stored in the fields of an image path spec
+   * @param imagePath - image path spec, see resolveImagePath
+   * @param getValue - returns the value of a field path
+   * @returns {string|undefined} undefined if the fields do not hold an image
+   */
+  static readImage(imagePath, getValue) {
+    if (typeof imagePath === "string") {
+      const image = getValue(imagePath);
+      return typeof image === "string" ? image : undefined;
+    }
+    if (imagePath.repository === undefined) {
+      throw new Error(`Image path ${JSON.stringify(imagePath)} does not define the repository, so the full image can not be read`);
+    }
+
+    const parts = {};
+    for (const part of IMAGE_PARTS) {
+      const value = imagePath[part] === undefined ? undefined : getValue(imagePath[part]);
+      if (value !== undefined && value !== null) parts[part] = `${value}`;
+    }
+    if (parts.repository === undefined) return undefined;
+    return parts.repository +
+      (parts.tag === undefined ? "" : `:${parts.tag}`) +
+      (parts.digest === undefined ? "" : `@${parts.digest}`);
+  }
+
+  /**
+   * Tag of the image written to the fields of an image path spec
+   * @returns {string|undefined} undefined if the fields do not include the tag
+   */
+  static getTag(imagePath, fields) {
+    if (typeof imagePath === "string") {
+      return typeof fields[0].value === "string" ? ImageUtils.parseImageReference(fields[0].value).tag : undefined;
+    }
+    const tagField = fields.find(field => field.path === imagePath.tag);
+    return tagField?.value === undefined ? undefined : `${tagField.value}`;
+  }
+
+  /**
+   * Parses a semver tag, with an optional `v` prefix
+   * @returns {{major: number, minor: number, patch: number, prerelease: (string|undefined)}|null} null if the tag is not semver
+   */
+  static parseSemver(tag) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(tag ?? "");
+    if (!match) return null;
+    return { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]), prerelease: match[4] };
+  }
+
+  /**
+   * Kind of semver update from one tag to another
+   * @returns {string|undefined} major, minor, patch, prerelease or none, undefined if a tag is not semver
+   */
+  static getUpdateType(oldTag, newTag) {
+    const oldVersion = ImageUtils.parseSemver(oldTag);
+    const newVersion = ImageUtils.parseSemver(newTag);
+    if (!oldVersion || !newVersion) return undefined;
+    if (oldVersion.major !== newVersion.major) return "major";
+    if (oldVersion.minor !== newVersion.minor) return "minor";
+    if (oldVersion.patch !== newVersion.patch) return "patch";
+    if (oldVersion.prerelease !== newVersion.prerelease) return "prerelease";
+    return "none";
+  }
+
+  /**
+   * Parses a calendar version tag (YYYY.MM, YY.MM.DD, YYYY-MM-DD.MICRO...), with an optional `v` prefix
+   * @returns {number[]|null} The numeric components, null if the tag is not a calendar version
+   */
+  static parseCalver(tag) {
+    const match = /^v?((?:\d{4}|\d{2})(?:[.-]\d+){1,3})$/.exec(tag ?? "");
+    if (!match) return null;
+    const components = match[1].split(/[.-]/).map(Number);
+    if (components[1] < 1 || components[1] > 12) return null;
+    return components;
+  }
+
+  /**
+   * Compares two semver (with the semver precedence of prereleases) or two calendar version tags
+   * @returns {number|undefined} negative if newTag is older than oldTag, 0 if they are the same version and positive
+   * if it is newer. undefined if the tags can not be compared (missing, not versions or of different schemes)
+   */
+  static compareVersions(oldTag, newTag) {
+    const oldSemver = ImageUtils.parseSemver(oldTag);
+    const newSemver = ImageUtils.parseSemver(newTag);
+    if (oldSemver && newSemver) {
+      for (const part of ["major", "minor", "patch"]) {
+        if (oldSemver[part] !== newSemver[part]) return newSemver[part] - oldSemver[part];
+      }
+      return ImageUtils.comparePrereleases(oldSemver.prerelease, newSemver.prerelease);
+    }
+
+    const oldCalver = ImageUtils.parseCalver(oldTag);
+    const newCalver = ImageUtils.parseCalver(newTag);
+    if (oldCalver && newCalver) {
+      for (let i = 0; i < Math.max(oldCalver.length, newCalver.length); i++) {
+        const difference = (newCalver[i] ?? 0) - (oldCalver[i] ?? 0);
+        if (difference !== 0) return difference;
+      }
+      return 0;
+    }
+    return undefined;
+  }
+
+  /**
+   * Semver precedence of two prereleases: a release is newer than any of its prereleases, numeric
+   * identifiers are compared numerically and are older than alphanumeric ones
+   */
+  static comparePrereleases(oldPrerelease, newPrerelease) {
+    if (oldPrerelease === newPrerelease) return 0;
+    if (oldPrerelease === undefined) return -1;
+    if (newPrerelease === undefined) return 1;
+
+    const oldIdentifiers = oldPrerelease.split(".");
+    const newIdentifiers = newPrerelease.split(".");
+    for (let i = 0; i < Math.min(oldIdentifiers.length, newIdentifiers.length); i++) {
+      const [oldIdentifier, newIdentifier] = [oldIdentifiers[i], newIdentifiers[i]];
+      if (oldIdentifier === newIdentifier) continue;
+      const oldNumeric = /^\d+$/.test(oldIdentifier);
+      const newNumeric = /^\d+$/.test(newIdentifier);
+      if (oldNumeric && newNumeric) return Number(newIdentifier) - Number(oldIdentifier);
+      if (oldNumeric !== newNumeric) return oldNumeric ? 1 : -1;
+      return newIdentifier < oldIdentifier ? -1 : 1;
+    }
+    return newIdentifiers.length - oldIdentifiers.length;
+  }
+
+  /**
+   * Human readable value of the touched fields, used in logs and PR bodies.
+   * A single full image field is reported as the bare image
+   */
+  static describeFields(imagePath, fields) {
+    if (typeof imagePath === "string") return `${fields[0].value}`;
+    return fields.map(field => `${field.path}=${field.value}`).join(", ");
+  }
+}
+
+module.exports = ImageUtils;
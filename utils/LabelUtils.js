@@ -0,0 +1,124 @@
+// Labels set in every PR, one per coordinate value. The colors are the ones the action has always used
+const COORDINATE_LABELS = {
+  tenant: { prefix: "tenant/", color: "234099", description: "" },
+  app: { prefix: "app/", color: "ac1d1c", description: "" },
+  env: { prefix: "env/", color: "33810b", description: "" },
+  service: { prefix: "service/", color: "f1c232", description: "" },
+};
+
+// Labels of the input matrix entries (e.g. risk/high)
+const CUSTOM_LABELS = { color: "7e7c7a", description: "" };
+
+class LabelUtils {
+
+  /**
+   * Fills the labels configuration (see the labels input) with the defaults
+   * @returns {{tenant: object, app: object, env: object, service: object, custom: object, delete_stale: boolean}}
+   * The prefix, color and description of every kind of label, and whether stale labels are deleted
+   */
+  static getConfig(config = {}) {
+    const fullConfig = { delete_stale: config.delete_stale ?? false };
+    for (const [kind, defaults] of Object.entries(COORDINATE_LABELS)) {
+      fullConfig[kind] = { ...defaults, ...config[kind] };
+    }
+    fullConfig.custom = { ...CUSTOM_LABELS, ...config.custom };
+    return fullConfig;
+  }
+
+  /**
+   * Labels of a coordinate: one per tenant, app, env and service with the configured prefixes, and the
+   * custom labels of its input matrix entries
+   * @returns {Array<{name: string, color: string, description: string, managed: boolean}>} managed labels
+   * are kept in sync with the configuration, custom labels are only created when missing
+   */
+  static getLabels(prInputs, config) {
+    const values = {
+      tenant: [prInputs.tenant],
+      app: [prInputs.application],
+      env: [prInputs.environment],
+      service: prInputs.serviceNameList,
+    };
+    const labels = Object.entries(values).flatMap(([kind, kindValues]) => kindValues.map(value => ({
+      name: `${config[kind].prefix}${value}`,
+      color: config[kind].color,
+      description: config[kind].description,
+      managed: true,
+    })));
+    return labels.concat((prInputs.customLabels ?? []).map(name => ({
+      name,
+      color: config.custom.color,
+      description: config.custom.description,
+      managed: false,
+    })));
+  }
+
+  /**
+   * Whether a label is one of the coordinate labels of the action, by its prefix
+   */
+  static isAutomated(name, config) {
+    return Object.keys(COORDINATE_LABELS).some(kind =>
+      config[kind].prefix !== "" && name.toLowerCase().startsWith(config[kind].prefix.toLowerCase())
+    );
+  }
+
+  /**
+   * Sets the labels of a PR, replacing the ones it had. The labels of the repository are read once and
+   * matched by their exact name (GitHub names are case insensitive): the missing ones are created, and the
+   * managed ones whose color or description differ from the configuration are updated
+   * @param ghClient
+   * @param prNumber
+   * @param labels - labels to set, see getLabels
+   * @returns {Promise<{labels: string[], created: string[], updated: string[]}>}
+   */
+  static async setPRLabels(ghClient, prNumber, labels) {
+    const repoLabels = new Map((await ghClient.getRepoLabels()).map(label => [label.name.toLowerCase(), label]));
+    const created = [];
+    const updated = [];
+
+    for (const label of LabelUtils.unique(labels)) {
+      const repoLabel = repoLabels.get(label.name.toLowerCase());
+      if (repoLabel === undefined) {
+        await ghClient.createLabel(label.name, label.color, label.description);
+        repoLabels.set(label.name.toLowerCase(), label);
+        created.push(label.name);
+      } else if (label.managed &&
+        (repoLabel.color.toLowerCase() !== label.color.toLowerCase() || repoLabel.description !== label.description)) {
+        await ghClient.updateLabel(repoLabel.name, label.color, label.description);
+        updated.push(repoLabel.name);
+      }
+    }
+
+    const names = LabelUtils.unique(labels).map(label => repoLabels.get(label.name.toLowerCase()).name);
+    await ghClient.setPRLabels(prNumber, names);
+    return { labels: names, created, updated };
+  }
+
+  /**
+   * Deletes the coordinate labels (see isAutomated) of the repository that no open issue or PR uses
+   * @returns {Promise<string[]>} The deleted labels
+   */
+  static async deleteStaleLabels(ghClient, config) {
+    const inUse = new Set((await ghClient.getOpenIssueLabels()).map(name => name.toLowerCase()));
+    const deleted = [];
+    for (const { name } of await ghClient.getRepoLabels()) {
+      if (LabelUtils.isAutomated(name, config) && !inUse.has(name.toLowerCase())) {
+        await ghClient.deleteLabel(name);
+        deleted.push(name);
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Removes the labels with the same name, the first one wins
+   */
+  static unique(labels) {
+    const unique = new Map();
+    for (const label of labels) {
+      if (!unique.has(label.name.toLowerCase())) unique.set(label.name.toLowerCase(), label);
+    }
+    return [...unique.values()];
+  }
+}
+
+module.exports = LabelUtils;
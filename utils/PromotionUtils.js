@@ -0,0 +1,74 @@
+const path = require('path');
+
+class PromotionUtils {
+
+  /**
+   * Folders of the source and target environments of a promotion entry, relative to the state repo root
+   */
+  static getFolders(entry) {
+    return [entry.promote_from, entry.env].map(environment =>
+      path.join(entry.base_folder ?? "", entry.tenant, entry.app, environment)
+    );
+  }
+
+  /**
+   * Computes the services whose image differs between the source (promote_from) and target (env) environments
+   * of a promotion entry of the input matrix. Without service_name_list, every service of the source
+   * environment that also exists in the target one is promoted
+   * @param entry - input matrix entry with promote_from
+   * @param yamlUtils - images.yaml reader
+   * @param rootFolder - folder holding the state repo files
+   * @returns {Array<{service: string, oldImage: string, newImage: string}>}
+   */
+  static getDifferences(entry, yamlUtils, rootFolder = "") {
+    const baseFolder = path.join(rootFolder, entry.base_folder ?? "");
+    // The image paths of the entry are the ones of the target environment
+    const sourceImages = yamlUtils.loadServiceImages(entry.tenant, entry.app, entry.promote_from, baseFolder);
+    const targetImages = yamlUtils.loadServiceImages(entry.tenant, entry.app, entry.env, baseFolder, entry.image_paths ?? {});
+
+    const services = entry.service_name_list ??
+      Object.keys(sourceImages).filter(service => targetImages[service] !== undefined);
+    for (const service of services) {
+      if (sourceImages[service] === undefined) {
+        throw new Error(`Service ${service} has no image in ${entry.tenant}/${entry.app}/${entry.promote_from}`);
+      }
+    }
+
+    return services
+      .filter(service => sourceImages[service] !== targetImages[service])
+      .map(service => ({ service, oldImage: targetImages[service], newImage: sourceImages[service] }));
+  }
+
+  /**
+   * Replaces the promotion entries of the input matrix with regular entries, one per distinct image to promote
+   * (with the services that get it). The environment folders are read from ref through the git client
+   * @returns {Promise<{entries: Array<object>, promotions: Array<{entry: object, differences: Array<object>}>}>}
+   * The expanded input matrix entries, and the differences found for every promotion entry
+   */
+  static async expandEntries(entries, yamlUtils, gitClient, ref) {
+    const expanded = [];
+    const promotions = [];
+    for (const entry of entries) {
+      if (entry.promote_from === undefined) {
+        expanded.push(entry);
+        continue;
+      }
+
+      await gitClient.checkoutPaths(ref, PromotionUtils.getFolders(entry));
+      const differences = PromotionUtils.getDifferences(entry, yamlUtils, gitClient.workDir);
+      promotions.push({ entry, differences });
+
+      const servicesByImage = new Map();
+      for (const { service, newImage } of differences) {
+        if (!servicesByImage.has(newImage)) servicesByImage.set(newImage, []);
+        servicesByImage.get(newImage).push(service);
+      }
+      for (const [image, services] of servicesByImage) {
+        expanded.push({ ...entry, image, service_name_list: services });
+      }
+    }
+    return { entries: expanded, promotions };
+  }
+}
+
+module.exports = PromotionUtils;
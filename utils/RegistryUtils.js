@@ -0,0 +1,140 @@
+const ImageUtils = require('./ImageUtils');
+
+const DOCKER_HUB_HOSTS = ["docker.io", "index.docker.io", "registry-1.docker.io"];
+const DOCKER_HUB_REGISTRY = "registry-1.docker.io";
+
+// Manifests and indexes (multi-arch images) of docker and OCI images
+const MANIFEST_MEDIA_TYPES = [
+  "application/vnd.oci.image.index.v1+json",
+  "application/vnd.oci.image.manifest.v1+json",
+  "application/vnd.docker.distribution.manifest.list.v2+json",
+  "application/vnd.docker.distribution.manifest.v2+json",
+];
+
+/**
+ * Minimal client of the OCI distribution API, used to check that image tags exist before they are deployed
+ */
+class RegistryUtils {
+
+  /**
+   * @param credentials - {username, password} by registry host, registries without credentials are read anonymously
+   * @param fetchFn - fetch implementation, the global one by default
+   */
+  constructor(credentials = {}, fetchFn = fetch) {
+    this.credentials = credentials;
+    this.fetch = fetchFn;
+  }
+
+  /**
+   * Splits an image reference into the registry host, the repository name inside the registry and the
+   * manifest reference (digest, tag or latest), following the docker conventions for Docker Hub images
+   * @returns {{registry: string, name: string, reference: string}}
+   */
+  static parseRegistryImage(image) {
+    const { repository, tag, digest } = ImageUtils.parseImageReference(image);
+    const { registry, components } = RegistryUtils.splitRepository(repository);
+    return { registry, name: components.join("/"), reference: digest ?? tag ?? "latest" };
+  }
+
+  /**
+   * Splits a repository into its registry host and its path components. Docker Hub repositories get the
+   * registry-1.docker.io host whichever alias they use (or none), and official images the library/ namespace
+   * @param repository - image repository, or a prefix of it (e.g. docker.io/tenant2 or ghcr.io) when isPrefix
+   * is set, which is not completed with library/
+   * @returns {{registry: string, components: string[]}}
+   */
+  static splitRepository(repository, isPrefix = false) {
+    const components = repository.split("/");
+    let registry = DOCKER_HUB_REGISTRY;
+    if ((components.length > 1 || isPrefix) && (/[.:]/.test(components[0]) || components[0] === "localhost")) {
+      registry = components.shift();
+    }
+    if (DOCKER_HUB_HOSTS.includes(registry)) {
+      registry = DOCKER_HUB_REGISTRY;
+      if (!isPrefix && components.length === 1) components.unshift("library");
+    }
+    return { registry, components };
+  }
+
+  /**
+   * Fully qualified form of a repository, docker.io/<namespace>/<name> for Docker Hub ones, so the short and
+   * long forms of the same repository compare equal
+   * @param repository - see splitRepository
+   * @param isPrefix - see splitRepository
+   */
+  static normalizeRepository(repository, isPrefix = false) {
+    const { registry, components } = RegistryUtils.splitRepository(repository, isPrefix);
+    return [registry === DOCKER_HUB_REGISTRY ? DOCKER_HUB_HOSTS[0] : registry, ...components].filter(Boolean).join("/");
+  }
+
+  /**
+   * Registries on the local machine are reached over http, the rest over https
+   */
+  static getBaseUrl(registry) {
+    const host = registry.replace(/:\d+$/, "");
+    const scheme = ["localhost", "127.0.0.1"].includes(host) ? "http" : "https";
+    return `${scheme}://${registry}`;
+  }
+
+  /**
+   * Checks whether the manifest of an image (its tag or digest) exists in its registry
+   * @returns {Promise<boolean>} false if the registry answers that the manifest or the repository is unknown
+   */
+  async manifestExists(image) {
+    const { registry, name, reference } = RegistryUtils.parseRegistryImage(image);
+    const url = `${RegistryUtils.getBaseUrl(registry)}/v2/${name}/manifests/${reference}`;
+    const headers = { Accept: MANIFEST_MEDIA_TYPES.join(", ") };
+
+    let response = await this.fetch(url, { method: "HEAD", headers });
+    if (response.status === 401) {
+      const authorization = await this.authorize(registry, response.headers.get("www-authenticate"));
+      if (authorization) {
+        response = await this.fetch(url, { method: "HEAD", headers: { ...headers, Authorization: authorization } });
+      }
+    }
+
+    if (response.status === 200) return true;
+    if (response.status === 404) return false;
+    throw new Error(`Unexpected response ${response.status} from registry ${registry} for ${name}:${reference}`);
+  }
+
+  /**
+   * Credentials of a registry host. Docker Hub ones can be set under any of its hosts, docker.io first
+   */
+  getCredentials(registry) {
+    const hosts = registry === DOCKER_HUB_REGISTRY ? DOCKER_HUB_HOSTS : [registry];
+    return hosts.map(host => this.credentials[host]).find(Boolean);
+  }
+
+  /**
+   * Answers the authentication challenge of a registry: basic auth with the registry credentials, or a
+   * bearer token requested to the token server of the challenge (anonymous without credentials)
+   * @returns {Promise<string|undefined>} Authorization header, undefined if the challenge can not be answered
+   */
+  async authorize(registry, challenge) {
+    const credentials = this.getCredentials(registry);
+    const basicAuth = credentials &&
+      `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString("base64")}`;
+    if (!challenge) return undefined;
+
+    const [scheme] = challenge.split(" ");
+    if (scheme.toLowerCase() === "basic") return basicAuth;
+    if (scheme.toLowerCase() !== "bearer") return undefined;
+
+    const params = {};
+    for (const [, key, value] of challenge.matchAll(/(\w+)="([^"]*)"/g)) params[key] = value;
+    if (!params.realm) return undefined;
+
+    const tokenUrl = new URL(params.realm);
+    if (params.service) tokenUrl.searchParams.set("service", params.service);
+    if (params.scope) tokenUrl.searchParams.set("scope", params.scope);
+    const response = await this.fetch(tokenUrl.toString(), { headers: basicAuth ? { Authorization: basicAuth } : {} });
+    if (!response.ok) {
+      throw new Error(`Unable to get a token for registry ${registry}: ${response.status}`);
+    }
+    const { token, access_token } = await response.json();
+    return `Bearer ${token ?? access_token}`;
+  }
+}
+
+module.exports = RegistryUtils;
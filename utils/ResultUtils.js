@@ -0,0 +1,65 @@
+const io = require('./IOUtils');
+
+/**
+ * Collects the result of every coordinate of the run (see PullRequestBuilder.getResults), exposes them to the
+ * following workflow steps and fails the action when a coordinate failed
+ */
+class ResultUtils {
+
+  /**
+   * Opens the PR of every group in order. A group that throws has all its coordinates reported as failed.
+   * With failFast, the groups after the first one with a failed coordinate are not processed
+   * @param core - @actions/core, used for logging
+   * @param ghClient
+   * @param prBuilders - PullRequestBuilder of every group
+   * @param openPR - opens the PR of a group, async (prBuilder) => results of its coordinates
+   * @param failFast - see the fail_fast input
+   * @returns {Promise<Array<object>>} The result of every processed coordinate
+   */
+  static async collectResults(core, ghClient, prBuilders, openPR, failFast) {
+    const results = [];
+    for (const prBuilder of prBuilders) {
+      let groupResults;
+      try {
+        groupResults = await openPR(prBuilder);
+      } catch (error) {
+        groupResults = prBuilder.getResults(ghClient, 'failed', { error });
+      }
+      results.push(...groupResults);
+      if (groupResults.some(result => result.status === 'failed')) {
+        if (failFast) break;
+        core.info(io.yellow('· Continuing with the remaining images (fail_fast is disabled)'));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Exposes the result of every coordinate and the numbers of their PRs as the results and pr_numbers outputs
+   */
+  static setOutputs(core, results) {
+    core.setOutput('results', JSON.stringify(results));
+    core.setOutput('pr_numbers', JSON.stringify([...new Set(results.map(result => result.prNumber).filter(prNumber => prNumber !== 0))]));
+  }
+
+  /**
+   * Fails the action once every coordinate has been processed, listing the ones that failed
+   * @param core
+   * @param results - see collectResults
+   * @param notProcessed - coordinates left without result by fail_fast
+   */
+  static reportFailures(core, results, notProcessed) {
+    if (notProcessed > 0) {
+      core.warning(`${notProcessed} coordinate(s) were not processed because fail_fast is enabled`);
+    }
+
+    const failed = results.filter(result => result.status === 'failed');
+    if (failed.length > 0) {
+      core.setFailed(`${failed.length} coordinate(s) failed:\n` + failed.map(result =>
+        `- ${[result.tenant, result.app, result.env, result.service].filter(Boolean).join('/')}: ${result.error}`
+      ).join('\n'));
+    }
+  }
+}
+
+module.exports = ResultUtils;
@@ -0,0 +1,86 @@
+class ReviewerUtils {
+
+  /**
+   * Removes the leading @, empty values and duplicates (logins are case insensitive) of a list of reviewers
+   */
+  static normalize(reviewers) {
+    const normalized = new Map();
+    for (const reviewer of reviewers) {
+      const name = `${reviewer}`.trim().replace(/^@/, "");
+      if (name && !normalized.has(name.toLowerCase())) normalized.set(name.toLowerCase(), name);
+    }
+    return [...normalized.values()];
+  }
+
+  /**
+   * Requests the reviews of users and teams (org/team) in a PR. Reviewers that can not review it (the
+   * author of the PR, users that are not collaborators and teams of other organizations) are skipped, and if
+   * GitHub refuses the request, every reviewer is requested on its own so a bad one does not drop the rest
+   * @param ghClient
+   * @param prNumber
+   * @param reviewers - normalized users and teams, see normalize
+   * @returns {Promise<{requested: string[], skipped: Array<{reviewer: string, reason: string}>}>}
+   */
+  static async requestReviewers(ghClient, prNumber, reviewers) {
+    const skipped = [];
+    const candidates = [];
+    const author = reviewers.length > 0 ? (await ghClient.getPrAuthor(prNumber))?.toLowerCase() : undefined;
+
+    for (const reviewer of reviewers) {
+      if (reviewer.includes("/")) {
+        const [org] = reviewer.split("/");
+        if (org.toLowerCase() !== ghClient.repoOwner.toLowerCase()) {
+          skipped.push({ reviewer, reason: `only teams of ${ghClient.repoOwner} can review its pull requests` });
+        } else {
+          candidates.push(reviewer);
+        }
+      } else if (reviewer.toLowerCase() === author) {
+        skipped.push({ reviewer, reason: "the author of a pull request can not review it" });
+      } else if (!await ReviewerUtils.isCollaborator(ghClient, reviewer)) {
+        skipped.push({ reviewer, reason: "not a collaborator of the repository" });
+      } else {
+        candidates.push(reviewer);
+      }
+    }
+    if (candidates.length === 0) return { requested: [], skipped };
+
+    try {
+      await ReviewerUtils.request(ghClient, prNumber, candidates);
+      return { requested: candidates, skipped };
+    } catch (e) {
+      const requested = [];
+      for (const reviewer of candidates) {
+        try {
+          await ReviewerUtils.request(ghClient, prNumber, [reviewer]);
+          requested.push(reviewer);
+        } catch (e) {
+          skipped.push({ reviewer, reason: e.message });
+        }
+      }
+      return { requested, skipped };
+    }
+  }
+
+  /**
+   * Requests users by login and teams by slug
+   */
+  static async request(ghClient, prNumber, reviewers) {
+    const users = reviewers.filter(reviewer => !reviewer.includes("/"));
+    const teams = reviewers.filter(reviewer => reviewer.includes("/")).map(team => team.split("/")[1]);
+    await ghClient.prAddReviewers(prNumber, users, teams);
+  }
+
+  /**
+   * Whether a user is a collaborator. When it can not be checked (e.g. the token lacks permissions)
+   * the user is kept, and GitHub decides when the review is requested
+   */
+  static async isCollaborator(ghClient, username) {
+    try {
+      return await ghClient.isCollaborator(username);
+    } catch (e) {
+      return true;
+    }
+  }
+}
+
+module.exports = ReviewerUtils;
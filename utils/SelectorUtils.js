@@ -0,0 +1,151 @@
+const path = require('path');
+const fs = require('fs');
+const ImageUtils = require('./ImageUtils');
+
+const COORDINATE_KEYS = ["tenant", "app", "env"];
+
+class SelectorUtils {
+
+  /**
+   * Whether a name has glob wildcards: `*` (any characters) or `?` (a single character)
+   */
+  static isGlob(name) {
+    return /[*?]/.test(name);
+  }
+
+  static globToRegex(glob) {
+    const pattern = glob.split("").map(char => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }).join("");
+    return new RegExp(`^${pattern}$`);
+  }
+
+  /**
+   * Whether a name matches a glob or any glob of a list
+   */
+  static matches(patterns, name) {
+    return [].concat(patterns).some(pattern => SelectorUtils.globToRegex(pattern).test(name));
+  }
+
+  /**
+   * Whether an input matrix entry has to be expanded: a tenant, app or env with wildcards or a list of values,
+   * service names with wildcards or a service selector
+   */
+  static hasSelectors(entry) {
+    return COORDINATE_KEYS.some(key => Array.isArray(entry[key]) || SelectorUtils.isGlob(entry[key])) ||
+      SelectorUtils.hasServiceSelectors(entry);
+  }
+
+  static hasServiceSelectors(entry) {
+    return entry.service_selector !== undefined || (entry.service_name_list ?? []).some(SelectorUtils.isGlob);
+  }
+
+  /**
+   * Resolves the tenant, app or env value of an entry to folder names. Plain names are kept as they are
+   * and wildcards are matched against the subdirectories of the parent folder
+   * @returns {Promise<string[]>} The names, in the order of the value and without duplicates
+   */
+  static async resolveFolders(gitClient, ref, parentFolder, value) {
+    const names = [];
+    let subdirectories;
+    for (const pattern of [].concat(value)) {
+      if (!SelectorUtils.isGlob(pattern)) {
+        names.push(pattern);
+        continue;
+      }
+      subdirectories ??= await gitClient.listDirectories(ref, parentFolder);
+      names.push(...subdirectories.filter(name => SelectorUtils.matches(pattern, name)));
+    }
+    return [...new Set(names)];
+  }
+
+  /**
+   * Resolves the service names of an entry with the images of its environment (see yamlUtils.loadServiceImages):
+   * plain names are kept as they are, wildcards are matched against the services with an image and the
+   * service_selector keeps only the services whose current image repository matches its image_repository
+   * @returns {string[]}
+   */
+  static resolveServices(entry, images) {
+    let services = entry.service_name_list === undefined ? Object.keys(images) : [];
+    for (const pattern of entry.service_name_list ?? []) {
+      if (SelectorUtils.isGlob(pattern)) {
+        services.push(...Object.keys(images).filter(service => SelectorUtils.matches(pattern, service)));
+      } else {
+        services.push(pattern);
+      }
+    }
+
+    const imageRepository = entry.service_selector?.image_repository;
+    if (imageRepository !== undefined) {
+      services = services.filter(service => images[service] !== undefined &&
+        SelectorUtils.matches(imageRepository, ImageUtils.parseImageReference(images[service]).repository));
+    }
+    return [...new Set(services)];
+  }
+
+  /**
+   * Expands an input matrix entry with selectors into one entry per tenant/app/env coordinate, scanning the
+   * state repo at ref through the git client. Coordinates found with wildcards are only kept if they have
+   * an images.yaml file, and coordinates left without services are dropped
+   * @returns {Promise<Array<object>>} Entries with plain tenant, app, env and service_name_list
+   */
+  static async expandEntry(entry, yamlUtils, gitClient, ref) {
+    const baseFolder = entry.base_folder ?? "";
+    const isWildcard = COORDINATE_KEYS.some(key => [].concat(entry[key]).some(SelectorUtils.isGlob));
+    const expanded = [];
+
+    for (const tenant of await SelectorUtils.resolveFolders(gitClient, ref, baseFolder, entry.tenant)) {
+      const tenantFolder = path.join(baseFolder, tenant);
+      for (const app of await SelectorUtils.resolveFolders(gitClient, ref, tenantFolder, entry.app)) {
+        const appFolder = path.join(tenantFolder, app);
+        for (const env of await SelectorUtils.resolveFolders(gitClient, ref, appFolder, entry.env)) {
+          const coordinate = { ...entry, tenant, app, env };
+          const envFolder = path.join(appFolder, env);
+
+          if (isWildcard || SelectorUtils.hasServiceSelectors(entry)) {
+            await gitClient.checkoutPaths(ref, [envFolder]);
+            if (!fs.existsSync(path.join(gitClient.workDir, envFolder, "images.yaml"))) {
+              if (isWildcard) continue;
+              throw new Error(`There is no images.yaml file in ${envFolder} to select the services of`);
+            }
+          }
+
+          if (SelectorUtils.hasServiceSelectors(entry)) {
+            const images = yamlUtils.loadServiceImages(
+              tenant, app, env, path.join(gitClient.workDir, baseFolder), entry.image_paths ?? {}
+            );
+            coordinate.service_name_list = SelectorUtils.resolveServices(entry, images);
+            delete coordinate.service_selector;
+            if (coordinate.service_name_list.length === 0) continue;
+          }
+          expanded.push(coordinate);
+        }
+      }
+    }
+    return expanded;
+  }
+
+  /**
+   * Expands every input matrix entry with selectors, see expandEntry. The rest are kept as they are
+   * @returns {Promise<{entries: Array<object>, expansions: Array<{entry: object, entries: Array<object>}>}>}
+   * The expanded input matrix, and the entries every entry with selectors was expanded into
+   */
+  static async expandEntries(entries, yamlUtils, gitClient, ref) {
+    const expandedEntries = [];
+    const expansions = [];
+    for (const entry of entries) {
+      if (!SelectorUtils.hasSelectors(entry)) {
+        expandedEntries.push(entry);
+        continue;
+      }
+      const expanded = await SelectorUtils.expandEntry(entry, yamlUtils, gitClient, ref);
+      expansions.push({ entry, entries: expanded });
+      expandedEntries.push(...expanded);
+    }
+    return { entries: expandedEntries, expansions };
+  }
+}
+
+module.exports = SelectorUtils;
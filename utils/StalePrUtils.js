@@ -0,0 +1,119 @@
+const path = require('path');
+const { parse } = require('yaml');
+const LabelUtils = require('./LabelUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses of the results whose coordinates got a PR with their images in this run
+const UPDATED_STATUSES = ["created", "updated", "merged"];
+
+/**
+ * Cleanup of the automated PRs left open: the ones superseded by the PRs of this run, the ones whose
+ * changes are already in the default branch and the ones not updated for too long
+ */
+class StalePrUtils {
+
+  /**
+   * Services whose value differs between two versions of an images.yaml file (null when it does not exist)
+   */
+  static getChangedServices(baseContent, headContent) {
+    const base = parse(baseContent ?? "") ?? {};
+    const head = parse(headContent ?? "") ?? {};
+    return [...new Set([...Object.keys(base), ...Object.keys(head)])]
+      .filter(service => JSON.stringify(base[service]) !== JSON.stringify(head[service]));
+  }
+
+  /**
+   * Services a PR changes, per images.yaml file: the ones whose value differs between the commit the PR
+   * branched from (its merge base with the default branch) and its head, so later changes of the default
+   * branch are not taken as changes of the PR
+   * @returns {Promise<Array<{file: string, service: string, applied: boolean}>>} applied when the default
+   * branch already has the value of the PR
+   */
+  static async getPRChanges(ghClient, pr, baseRef) {
+    const mergeBase = await ghClient.getMergeBase(baseRef, pr.headSha);
+    const changes = [];
+    for (const file of await ghClient.getPrFiles(pr.number)) {
+      if (path.basename(file) !== "images.yaml") continue;
+      const mergeBaseContent = await ghClient.getFileContent(file, mergeBase);
+      const headContent = await ghClient.getFileContent(file, pr.headSha);
+      const baseContent = await ghClient.getFileContent(file, baseRef);
+      const pending = StalePrUtils.getChangedServices(baseContent, headContent);
+      changes.push(...StalePrUtils.getChangedServices(mergeBaseContent, headContent)
+        .map(service => ({ file, service, applied: !pending.includes(service) })));
+    }
+    return changes;
+  }
+
+  /**
+   * Services updated in this run, with the images.yaml file, the branch and the PR they were updated in
+   * @param prInputsList - PullRequestInputs of every coordinate of the run
+   * @param results - result of every coordinate, see PullRequestBuilder.getResults
+   * @returns {Array<{file: string, service: string, branch: string, prNumber: number}>}
+   */
+  static getRunChanges(prInputsList, results) {
+    return results.filter(result => UPDATED_STATUSES.includes(result.status)).flatMap(result => {
+      const prInputs = prInputsList.find(prInputs => prInputs.tenant === result.tenant &&
+        prInputs.application === result.app && prInputs.environment === result.env);
+      const file = path.join(prInputs?.baseFolder ?? "", result.tenant, result.app, result.env, "images.yaml");
+      return Object.keys(result.images).map(service => ({ file, service, branch: result.branch, prNumber: result.prNumber }));
+    });
+  }
+
+  /**
+   * Finds the open automated PRs (branch with the automated prefix and coordinate labels) that this run did not
+   * touch and have to be closed, with the first reason that applies:
+   *  - superseded: every service they change was updated in this run in another PR
+   *  - applied: the default branch already has every change (PRs without images.yaml changes are never applied)
+   *  - stale: not updated for more than max_age_days
+   * @param ghClient
+   * @param options - superseded, applied (booleans) and max_age_days, see the stale_prs input
+   * @param runChanges - see getRunChanges
+   * @param context - branchPrefix of the automated branches, labelsConfig (see LabelUtils.getConfig) and now (ms)
+   * @returns {Promise<Array<{prNumber: number, branch: string, reason: string, message: string}>>}
+   */
+  static async findStalePRs(ghClient, options, runChanges, { branchPrefix, labelsConfig, now = Date.now() }) {
+    const runPrNumbers = new Set(runChanges.map(change => change.prNumber));
+    const candidates = (await ghClient.getOpenPRs()).filter(pr => pr.branch.startsWith(branchPrefix) &&
+      !runPrNumbers.has(pr.number) && pr.labels.some(label => LabelUtils.isAutomated(label, labelsConfig)));
+
+    const stalePRs = [];
+    for (const pr of candidates) {
+      const stalePR = { prNumber: pr.number, branch: pr.branch };
+      if (options.superseded || options.applied) {
+        const changes = await StalePrUtils.getPRChanges(ghClient, pr, ghClient.getDefaultBranch());
+        const supersedingPRs = changes.map(change => runChanges.find(runChange =>
+          runChange.file === change.file && runChange.service === change.service && runChange.branch !== pr.branch
+        ));
+
+        if (options.superseded && changes.length > 0 && supersedingPRs.every(Boolean)) {
+          const prNumbers = [...new Set(supersedingPRs.map(runChange => `#${runChange.prNumber}`))];
+          stalePRs.push({ ...stalePR, reason: "superseded", message: `its changes are superseded by ${prNumbers.join(", ")}` });
+          continue;
+        }
+        if (options.applied && changes.length > 0 && changes.every(change => change.applied)) {
+          stalePRs.push({ ...stalePR, reason: "applied", message: `its changes are already in ${ghClient.getDefaultBranch()}` });
+          continue;
+        }
+      }
+      if (options.max_age_days !== undefined && now - Date.parse(pr.updatedAt) > options.max_age_days * DAY_MS) {
+        stalePRs.push({ ...stalePR, reason: "stale", message: `it has not been updated for more than ${options.max_age_days} days` });
+      }
+    }
+    return stalePRs;
+  }
+
+  /**
+   * Closes the PRs with a comment explaining why, and deletes their branches unless delete_branch is false
+   */
+  static async closePRs(ghClient, stalePRs, options) {
+    for (const { prNumber, branch, message } of stalePRs) {
+      await ghClient.commentPr(prNumber,
+        `🤖 Closed by the image update automation in [this](${ghClient.getActionUrl()}) workflow execution: ${message}.`);
+      await ghClient.closePr(prNumber);
+      if (options.delete_branch ?? true) await ghClient.deleteBranch(branch);
+    }
+  }
+}
+
+module.exports = StalePrUtils;
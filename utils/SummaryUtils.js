@@ -0,0 +1,116 @@
+class SummaryUtils {
+
+  /**
+   * Adds the dry run plan to the job summary
+   * @param summary - core.summary
+   * @param plans - list of plans returned by PullRequestBuilder.planPRUpdatingImage
+   */
+  static async writePlanSummary(summary, plans) {
+    const rows = [
+      ['Tenant', 'App', 'Env', 'Service', 'Old image', 'New image', 'Pull request', 'Auto merge']
+        .map(data => ({ data, header: true }))
+    ];
+
+    for (const plan of plans) {
+      for (const coordinate of plan.coordinates) {
+        for (const service of coordinate.services) {
+          rows.push([
+            coordinate.tenant,
+            coordinate.app,
+            coordinate.env,
+            service.service,
+            SummaryUtils.code(service.oldValue),
+            SummaryUtils.code(service.newValue),
+            SummaryUtils.describePrAction(plan, service, coordinate),
+            SummaryUtils.describeAutoMerge(plan)
+          ]);
+        }
+      }
+    }
+
+    await summary
+      .addHeading('🔍 Image update plan (dry run)', 2)
+      .addRaw(`${plans.length} pull request(s), nothing was pushed and no pull request was changed`, true)
+      .addTable(rows)
+      .write();
+  }
+
+  /**
+   * Adds a table with the result of every coordinate to the job summary
+   * @param summary - core.summary
+   * @param results - list of results returned by PullRequestBuilder.getResults
+   */
+  static async writeResultsSummary(summary, results) {
+    const rows = [
+      ['Tenant', 'App', 'Env', 'Services', 'Image', 'Pull request', 'Labels', 'Reviewers', 'Checks', 'Merge']
+        .map(data => ({ data, header: true }))
+    ];
+
+    for (const result of results) {
+      const services = Object.keys(result.images);
+      rows.push([
+        SummaryUtils.escape(result.tenant),
+        SummaryUtils.escape(result.app),
+        SummaryUtils.escape(result.env),
+        services.map(SummaryUtils.escape).join('<br>') || (result.service ? SummaryUtils.escape(result.service) : ''),
+        services.map(service =>
+          `${SummaryUtils.code(result.images[service].old)} → ${SummaryUtils.code(result.images[service].new)}`
+        ).join('<br>'),
+        result.prNumber === 0 ? '' : `<a href="${result.prUrl}">#${result.prNumber}</a>`,
+        result.labels.map(SummaryUtils.code).join(' '),
+        result.reviewers.map(SummaryUtils.escape).join(', '),
+        SummaryUtils.escape(result.checks),
+        SummaryUtils.describeMerge(result)
+      ]);
+    }
+
+    await summary
+      .addHeading('📦 Image update results', 2)
+      .addTable(rows)
+      .write();
+  }
+
+  static describeMerge(result) {
+    if (result.status === 'failed') return `❌ ${SummaryUtils.escape(result.error)}`;
+    const refused = (result.downgrades ?? []).filter(downgrade => !downgrade.applied);
+    if (result.status === 'skipped' && refused.length > 0) {
+      return refused.map(downgrade => `skipped, downgrade of ${SummaryUtils.escape(downgrade.service)} ` +
+        `${SummaryUtils.code(downgrade.oldTag)} → ${SummaryUtils.code(downgrade.newTag)}`).join('<br>');
+    }
+    if (result.status === 'skipped' && result.closedPrNumber) return `skipped, #${result.closedPrNumber} was closed`;
+    if (result.status === 'skipped') return 'already up to date';
+    if (result.status === 'merged') return '✅ merged';
+    if (result.autoMergeEnabled) return '⏳ auto-merge enabled';
+    return result.autoMerge ? 'not merged' : 'not merged (no auto-merge)';
+  }
+
+  static describeAutoMerge(plan) {
+    if (plan.autoMerge) return 'yes';
+    return ['no', ...(plan.autoMergeReasons ?? []).map(SummaryUtils.escape)].join('<br>');
+  }
+
+  static describePrAction(plan, service, coordinate = {}) {
+    if (coordinate.imagePolicyViolations?.length > 0) {
+      return `❌ ${coordinate.imagePolicyViolations.map(SummaryUtils.escape).join('<br>')}`;
+    }
+    if (service.status === 'error') return `❌ ${SummaryUtils.escape(service.error)}`;
+    if (service.status === 'unchanged') return 'already up to date';
+    if (service.status === 'downgrade') {
+      return `skipped, downgrade ${SummaryUtils.code(service.oldTag)} → ${SummaryUtils.code(service.newTag)}`;
+    }
+    if (plan.prAction === 'update') return `update #${plan.prNumber}`;
+    if (plan.prAction === 'reopen') return `reopen #${plan.closedPrNumber}`;
+    if (plan.prAction === 'skip' && plan.closedPrNumber) return `skipped, #${plan.closedPrNumber} was closed`;
+    return plan.prAction;
+  }
+
+  static code(value) {
+    return value === undefined ? '' : `<code>${SummaryUtils.escape(value)}</code>`;
+  }
+
+  static escape(value) {
+    return `${value}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+module.exports = SummaryUtils;
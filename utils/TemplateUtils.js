@@ -0,0 +1,19 @@
+class TemplateUtils {
+
+  /**
+   * Replaces every `{{ name }}` placeholder of a template with its variable
+   * @param template - text with placeholders
+   * @param variables - values by placeholder name
+   * @returns {string}
+   */
+  static render(template, variables) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, name) => {
+      if (variables[name] === undefined) {
+        throw new Error(`Unknown template variable ${name}, allowed values: ${Object.keys(variables).join(', ')}`);
+      }
+      return `${variables[name]}`;
+    });
+  }
+}
+
+module.exports = TemplateUtils;
@@ -1,6 +1,17 @@
 const yaml = require('js-yaml');
+const { parseDocument, visit, isAlias, isMap, isScalar, isSeq, stringify, Scalar } = require('yaml');
 const fs = require('fs');
 const path = require('path');
+const ImageUtils = require('./ImageUtils');
+
+// Per environment file mapping service names to the image fields to update
+const IMAGE_PATHS_FILE = "image_paths.yaml";
+// Per environment file listing the checks that must pass before auto-merging
+const REQUIRED_CHECKS_FILE = "required_checks.yaml";
+// Per environment file overriding how its pull requests are merged
+const MERGE_OPTIONS_FILE = "merge.yaml";
+// Per environment file listing the users and teams (org/team) that review its pull requests
+const REVIEWERS_FILE = "reviewers.yaml";
 
 
 class YamlFileNotFoundError extends Error {
@@ -17,6 +28,16 @@ class ImageVersionAlreadyUpdatedError extends Error {
   }
 }
 
+class ImageDowngradeError extends Error {
+  constructor(service, oldTag, newTag) {
+    super(`Service ${service} would be downgraded from ${oldTag} to ${newTag}, set allow_downgrade to apply it`);
+    this.name = "ImageDowngradeError";
+    this.service = service;
+    this.oldTag = oldTag;
+    this.newTag = newTag;
+  }
+}
+
 class yamlUtils {
 
   static determineAutoMerge(tenant, application, environment, basePath = "") {
@@ -39,6 +60,17 @@ class yamlUtils {
 
   }
 
+  /**
+   * Reads the rules of the AUTO_MERGE marker of an environment
+   * @returns {object|null} null if there is no marker, an empty object if the marker has no rules
+   */
+  static loadAutoMergeRules(tenant, application, environment, basePath = "") {
+    if (!yamlUtils.determineAutoMerge(tenant, application, environment, basePath)) return null;
+    const rules = yamlUtils.loadYaml(path.join(basePath, tenant, application, environment, "AUTO_MERGE"));
+    // Markers written before the rules existed may have any text, they keep allowing auto-merge
+    return rules !== null && typeof rules === "object" ? rules : {};
+  }
+
   static loadYaml(fileName) {
     // Get document, or throw exception 
     let configDoc = {}
@@ -60,7 +92,237 @@ class yamlUtils {
     }
   }
 
-  static modifyImage(tenant, application, environment, service, newImage, baseFolder) {
+  /**
+   * Loads a yaml file as a `yaml` Document, keeping the original source so it can be
+   * edited in place without losing comments, anchors, quoting or indentation
+   */
+  static loadYamlDocument(fileName) {
+    if (!fs.existsSync(fileName)) throw new YamlFileNotFoundError(fileName);
+    const source = fs.readFileSync(fileName, 'utf8');
+    const doc = parseDocument(source, { merge: true });
+    if (doc.errors.length > 0) {
+      throw new Error('Error trying to load yaml file: ' + fileName);
+    }
+    return { source, doc };
+  }
+
+  static saveYamlSource(source, fileName) {
+    try {
+      fs.writeFileSync(fileName, source);
+    } catch (e) {
+      throw new Error('Error trying to save yaml file: ' + fileName + ". Error: " + e);
+    }
+  }
+
+  /**
+   * Renders a string value using the same quoting style as the scalar it replaces
+   */
+  static renderScalar(node, value) {
+    const type = isScalar(node) ? node.type : Scalar.PLAIN;
+    if (type === Scalar.QUOTE_SINGLE) {
+      return `'${value.replace(/'/g, "''")}'`;
+    }
+    if (type === Scalar.PLAIN) {
+      // stringify only quotes the value when it can not be written as a plain scalar
+      return stringify(value, { lineWidth: 0 }).trimEnd();
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Applies text edits ({start, end, text}) to the source, leaving every other byte untouched.
+   * They are applied from the end of the file so the positions of the remaining ones stay valid
+   */
+  static applySourceEdits(source, edits) {
+    let newSource = source;
+    // Edits at the same position (keys added to the same map) are applied last first, so they keep their order
+    const sorted = edits.map((edit, i) => ({ ...edit, i })).sort((a, b) => b.start - a.start || b.i - a.i);
+    for (const { start, end, text } of sorted) {
+      newSource = newSource.slice(0, start) + text + newSource.slice(end);
+    }
+    return newSource;
+  }
+
+  /**
+   * Edit that replaces the text of a scalar (or alias) node. When the scalar has an anchor, its aliases
+   * are turned into explicit copies of the old value, so only the edited field changes
+   */
+  static getScalarEdits(doc, node, value) {
+    const edits = [{ start: node.range[0], end: node.range[1], text: yamlUtils.renderScalar(node, value) }];
+    if (isScalar(node) && node.anchor) {
+      visit(doc, {
+        Alias(_, alias) {
+          if (alias.resolve(doc) === node) {
+            edits.push({ start: alias.range[0], end: alias.range[1], text: yamlUtils.renderScalar(node, `${node.value}`) });
+          }
+        }
+      });
+    }
+    return edits;
+  }
+
+  /**
+   * Edit that adds a key to a block map, in a new line after its last entry with the indentation of
+   * its first key. Used for fields the map does not declare itself (e.g. they come from a merge key)
+   */
+  static getNewKeyEdit(doc, source, map, key, value, fileName) {
+    if (map.flow) {
+      throw new Error(`Error: unable to add ${key} to a flow map in file ${fileName}, declare it in the map`);
+    }
+    if (map.anchor) {
+      let aliased = false;
+      visit(doc, { Alias(_, alias) { if (alias.resolve(doc) === map) aliased = true; } });
+      if (aliased) {
+        throw new Error(`Error: unable to add ${key} to the map anchored as &${map.anchor} in file ${fileName}, it is shared`);
+      }
+    }
+    const firstKeyStart = map.items[0].key.range[0];
+    const indent = " ".repeat(firstKeyStart - (source.lastIndexOf("\n", firstKeyStart - 1) + 1));
+    const lastItem = map.items[map.items.length - 1];
+    // The range of a block map or sequence ends past its last line, on the next key of the document.
+    // The key goes after the last line with content of the item
+    const lastEnd = source.slice(0, (lastItem.value ?? lastItem.key).range[2]).trimEnd().length;
+    const lineEnd = source.indexOf("\n", lastEnd);
+    const position = lineEnd === -1 ? source.length : lineEnd;
+    return { start: position, end: position, text: `\n${indent}${key}: ${yamlUtils.renderScalar(undefined, value)}` };
+  }
+
+  /**
+   * Reads the image path specs of an environment from its image_paths.yaml file, if any
+   */
+  static loadImagePaths(tenant, application, environment, baseFolder = "") {
+    const fileName = path.join(baseFolder, tenant, application, environment, IMAGE_PATHS_FILE);
+    if (!fs.existsSync(fileName)) return {};
+    return yamlUtils.loadYaml(fileName) || {};
+  }
+
+  /**
+   * Reads the names of the checks required to auto-merge an environment from its required_checks.yaml file
+   * @returns {string[]|null} null if the environment does not declare them
+   */
+  static loadRequiredChecks(tenant, application, environment, baseFolder = "") {
+    const fileName = path.join(baseFolder, tenant, application, environment, REQUIRED_CHECKS_FILE);
+    if (!fs.existsSync(fileName)) return null;
+    const requiredChecks = yamlUtils.loadYaml(fileName) ?? [];
+    if (!Array.isArray(requiredChecks) || !requiredChecks.every(name => typeof name === "string")) {
+      throw new Error(`${fileName} must be a list of check names`);
+    }
+    return requiredChecks;
+  }
+
+  /**
+   * Reads the reviewers of an environment from its reviewers.yaml file
+   * @returns {string[]} users and teams (org/team), empty if there is no file
+   */
+  static loadReviewers(tenant, application, environment, baseFolder = "") {
+    const fileName = path.join(baseFolder, tenant, application, environment, REVIEWERS_FILE);
+    if (!fs.existsSync(fileName)) return [];
+    const reviewers = yamlUtils.loadYaml(fileName) ?? [];
+    if (!Array.isArray(reviewers) || !reviewers.every(reviewer => typeof reviewer === "string")) {
+      throw new Error(`${fileName} must be a list of users and teams`);
+    }
+    return reviewers;
+  }
+
+  /**
+   * Reads how the pull requests of an environment are merged from its merge.yaml file
+   * @returns {object} method, commit_title, commit_message and delete_branch, empty if there is no file
+   */
+  static loadMergeOptions(tenant, application, environment, baseFolder = "") {
+    const fileName = path.join(baseFolder, tenant, application, environment, MERGE_OPTIONS_FILE);
+    if (!fs.existsSync(fileName)) return {};
+    const mergeOptions = yamlUtils.loadYaml(fileName) ?? {};
+    if (typeof mergeOptions !== "object" || Array.isArray(mergeOptions)) {
+      throw new Error(`${fileName} must be a map of merge options`);
+    }
+    return mergeOptions;
+  }
+
+  /**
+   * Moves one path segment down from a yaml node
+   */
+  static getChildNode(doc, node, segment) {
+    if (isAlias(node)) node = node.resolve(doc);
+
+    if (typeof segment === "string") {
+      return isMap(node) ? node.get(segment, true) : undefined;
+    }
+    if (!isSeq(node)) return undefined;
+    if (typeof segment === "number") return node.items[segment];
+
+    return node.items.find(item => {
+      if (isAlias(item)) item = item.resolve(doc);
+      return isMap(item) && String(item.get(segment.key)) === segment.value;
+    });
+  }
+
+  /**
+   * Moves one path segment down from a plain js value
+   */
+  static getChildValue(value, segment) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof segment !== "object") return value[segment];
+    if (!Array.isArray(value)) return undefined;
+    return value.find(item => item && String(item[segment.key]) === segment.value);
+  }
+
+  /**
+   * Finds the node at the end of a path, along with its parent so missing keys can be added
+   */
+  static findPathNode(doc, rootNode, pathExpression, fileName) {
+    const segments = ImageUtils.parsePath(pathExpression);
+    let parent = rootNode;
+    for (const segment of segments.slice(0, -1)) {
+      parent = yamlUtils.getChildNode(doc, parent, segment);
+      if (parent === undefined) {
+        throw new Error("Error: path " + pathExpression + " not found in file " + fileName);
+      }
+    }
+    if (isAlias(parent)) parent = parent.resolve(doc);
+
+    const key = segments[segments.length - 1];
+    const node = yamlUtils.getChildNode(doc, parent, key);
+    if (node === undefined && !(typeof key === "string" && isMap(parent))) {
+      throw new Error("Error: path " + pathExpression + " not found in file " + fileName);
+    }
+    if (node !== undefined && !isScalar(node) && !isAlias(node)) {
+      throw new Error("Error: path " + pathExpression + " is not a scalar value in file " + fileName);
+    }
+    return { parent, key, node };
+  }
+
+  /**
+   * Reads the image of every service of an environment, from the fields configured for it (the `image` key by default)
+   * @param imagePaths - image paths of the input matrix entry, they take precedence over the image_paths.yaml file
+   * @returns {object} The full image by service name, services without an image are left out
+   */
+  static loadServiceImages(tenant, application, environment, baseFolder = "", imagePaths = {}) {
+    const fileName = path.join(baseFolder, tenant, application, environment, "images.yaml");
+    const { doc } = yamlUtils.loadYamlDocument(fileName);
+    const environmentImagePaths = yamlUtils.loadImagePaths(tenant, application, environment, baseFolder);
+
+    const images = {};
+    for (const [service, serviceValue] of Object.entries(doc.toJS() ?? {})) {
+      if (serviceValue === null || typeof serviceValue !== "object" || Array.isArray(serviceValue)) continue;
+      const imagePath = ImageUtils.resolveImagePath(service, imagePaths, environmentImagePaths);
+      const image = ImageUtils.readImage(
+        imagePath,
+        pathExpression => ImageUtils.parsePath(pathExpression).reduce(yamlUtils.getChildValue, serviceValue)
+      );
+      if (image !== undefined) images[service] = image;
+    }
+    return images;
+  }
+
+  /**
+   * Writes the new image to the fields configured for the service (the `image` key by default).
+   * With dryRun the changes are computed but the file is left untouched.
+   * Updates to an older semver or calendar version tag are refused unless allowDowngrade is set
+   * @returns {{oldValue: string, newValue: string, oldTag: (string|undefined), newTag: (string|undefined),
+   * downgrade: boolean, fileName: string}} The touched fields before and after the update, the tags they have if they
+   * include them and whether the update is a downgrade
+   */
+  static updateImageFields(tenant, application, environment, service, newImage, baseFolder, imagePaths = {}, dryRun = false, allowDowngrade = false) {
     const fileName = path.join(
       baseFolder,
       tenant,
@@ -69,21 +331,60 @@ class yamlUtils {
       "/images.yaml"
     );
 
-    let imageFile = yamlUtils.loadYaml(fileName);
+    const { source, doc } = yamlUtils.loadYamlDocument(fileName);
 
-    if (typeof imageFile[service] == 'undefined') {
+    const serviceNode = doc.get(service, true);
+    if (!isMap(serviceNode)) {
       throw new Error("Error: no service " + service + " found in file " + fileName);
     }
 
-    const oldValue = imageFile[service]["image"];
-    imageFile[service]["image"] = newImage;
+    const imagePath = ImageUtils.resolveImagePath(
+      service,
+      imagePaths,
+      yamlUtils.loadImagePaths(tenant, application, environment, baseFolder)
+    );
+    const newFields = ImageUtils.getImageFields(imagePath, newImage);
+
+    const serviceValue = doc.toJS()[service];
+    const oldFields = newFields.map(field => ({
+      path: field.path,
+      value: ImageUtils.parsePath(field.path).reduce(yamlUtils.getChildValue, serviceValue)
+    }));
 
-    if (oldValue === newImage) {
-      throw new ImageVersionAlreadyUpdatedError(service, newImage);
+    const oldValue = ImageUtils.describeFields(imagePath, oldFields);
+    const newValue = ImageUtils.describeFields(imagePath, newFields);
+    const oldTag = ImageUtils.getTag(imagePath, oldFields);
+    const newTag = ImageUtils.getTag(imagePath, newFields);
+
+    if (newFields.every((field, i) => oldFields[i].value === field.value)) {
+      throw new ImageVersionAlreadyUpdatedError(service, newValue);
+    }
+
+    const downgrade = ImageUtils.compareVersions(oldTag, newTag) < 0;
+    if (downgrade && !allowDowngrade) {
+      throw new ImageDowngradeError(service, oldTag, newTag);
     }
 
-    yamlUtils.saveYaml(imageFile, fileName);
-    return oldValue;
+    if (dryRun) return { oldValue, newValue, oldTag, newTag, downgrade, fileName };
+
+    const edits = newFields.map(field => ({
+      ...yamlUtils.findPathNode(doc, serviceNode, field.path, fileName),
+      value: field.value
+    }));
+
+    // Fields the service does not declare itself (e.g. they come from a merge key) are added to their map
+    const sourceEdits = edits.flatMap(edit => edit.node !== undefined
+      ? yamlUtils.getScalarEdits(doc, edit.node, edit.value)
+      : [yamlUtils.getNewKeyEdit(doc, source, edit.parent, edit.key, edit.value, fileName)]
+    );
+    yamlUtils.saveYamlSource(yamlUtils.applySourceEdits(source, sourceEdits), fileName);
+    return { oldValue, newValue, oldTag, newTag, downgrade, fileName };
+  }
+
+  static modifyImage(tenant, application, environment, service, newImage, baseFolder, imagePaths = {}) {
+    return yamlUtils.updateImageFields(
+      tenant, application, environment, service, newImage, baseFolder, imagePaths
+    ).oldValue;
   }
 
 }
@@ -91,5 +392,6 @@ class yamlUtils {
 module.exports = {
   yamlUtils,
   YamlFileNotFoundError,
-  ImageVersionAlreadyUpdatedError
+  ImageVersionAlreadyUpdatedError,
+  ImageDowngradeError
 }  